@@ -1,40 +1,122 @@
-import React from 'react';
-import { Stack } from 'expo-router';
+import React, { useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
+import { Stack, useRouter, useSegments, usePathname, useGlobalSearchParams } from 'expo-router';
+import * as Linking from 'expo-linking';
 import { AuthProvider, useAuth } from '../contexts/AuthContext';
+import { AppLockProvider } from '../contexts/AppLockContext';
+import { TrackingProvider } from '../contexts/TrackingContext';
+import outbox from '../lib/outbox';
+import locationBuffer from '../lib/locationBuffer';
+import realtime from '../lib/realtime';
+import shiftHandover from '../lib/shiftHandover';
+import {
+  PROTECTED_ROUTES,
+  isPublicRoute,
+  rememberRoute,
+  rememberUrl,
+  takeRememberedRoute,
+} from '../lib/routeGuard';
+import { canAccessRoute, homeRouteFor } from '../lib/permissions';
+import OfflineBanner from '../components/OfflineBanner';
 
 function RootLayoutNav() {
-  const { loading, isAuthenticated } = useAuth();
+  const { loading, isAuthenticated, sessionState, userId, role } = useAuth();
+  const router = useRouter();
+  const segments = useSegments();
+  const pathname = usePathname();
+  const params = useGlobalSearchParams();
+  const url = Linking.useURL();
+  const lastPrivateRoute = useRef(null);
 
-  // Show loading state
-  if (loading) {
-    return (
-      <Stack screenOptions={{ headerShown: false }}>
-        <Stack.Screen name="login" />
-      </Stack>
-    );
-  }
+  // Live assignment updates for whoever is logged in
+  useEffect(() => {
+    if (!userId) return undefined;
+    realtime.start(userId);
+    return () => realtime.stop();
+  }, [userId]);
+
+  // Each driver has their own outbox; switch queues whenever the account changes.
+  // GPS fixes buffered before the app was closed (e.g. by the background task) go up now too.
+  useEffect(() => {
+    if (loading) return;
+    outbox.setUser(userId || null);
+    if (userId) locationBuffer.upload().catch(() => {});
+  }, [loading, userId]);
+
+  // Whatever the previous driver left at shift handover
+  useEffect(() => {
+    if (!isAuthenticated || !userId) return;
+    shiftHandover.takeNote(userId).then((note) => {
+      if (!note) return;
+      const lines = [
+        `${note.fromName || 'The previous driver'} handed over this device at ${new Date(note.at).toLocaleTimeString()}.`,
+        note.assignments.length
+          ? `Open assignments: ${note.assignments.map((a) => `#${a.assignment_id}`).join(', ')}${note.reassignRequested ? ' (dispatch asked to reassign)' : ''}.`
+          : null,
+        note.handedOverEntries ? `${note.handedOverEntries} unsent item(s) will sync from this device.` : null,
+        note.note ? `Note: ${note.note}` : null,
+      ].filter(Boolean);
+      Alert.alert('Shift Handover', lines.join('\n\n'));
+    });
+  }, [isAuthenticated, userId]);
+
+  // Deep links that arrive before the session is known (cold start) or while logged out
+  // are kept so login can continue to them
+  useEffect(() => {
+    if (url && !isAuthenticated) rememberUrl(url);
+  }, [url]);
 
+  // Where the driver was when the session expired, so re-login returns there
+  useEffect(() => {
+    if (isAuthenticated && !isPublicRoute(segments[0])) lastPrivateRoute.current = { pathname, params };
+  }, [isAuthenticated, pathname, params]);
+
+  useEffect(() => {
+    if (sessionState === 'expired' && lastPrivateRoute.current) rememberRoute(lastPrivateRoute.current);
+    if (sessionState !== 'authenticated') lastPrivateRoute.current = null;
+  }, [sessionState]);
+
+  // Once a session exists: continue to the remembered route, or leave login for the dashboard
+  useEffect(() => {
+    if (loading || !isAuthenticated) return;
+    const pending = takeRememberedRoute();
+    const pendingRoute = pending?.pathname.replace(/^\//, '');
+    if (pending && canAccessRoute(role, pendingRoute)) router.replace(pending);
+    else if (isPublicRoute(segments[0]) || pending) router.replace(homeRouteFor());
+  }, [loading, isAuthenticated]);
+
+  // Protected screens only exist while there is a session and the role allows them (lib/permissions);
+  // until then every route resolves to login
   return (
     <Stack screenOptions={{ headerShown: false }}>
-      {!isAuthenticated ? (
-        // Not authenticated - show login
+      <Stack.Screen name="index" />
+      <Stack.Protected guard={!isAuthenticated}>
         <Stack.Screen name="login" />
-      ) : (
-        // Authenticated - show app screens
-        <>
-          <Stack.Screen name="dashboard" />
-          <Stack.Screen name="deliveryinfo" />
-          <Stack.Screen name="completed-deliveries" />
-        </>
-      )}
+        <Stack.Screen name="forgot-password" />
+      </Stack.Protected>
+      {PROTECTED_ROUTES.map((name) => (
+        <Stack.Protected key={name} guard={isAuthenticated && canAccessRoute(role, name)}>
+          <Stack.Screen name={name} />
+        </Stack.Protected>
+      ))}
     </Stack>
   );
 }
 
 export default function RootLayout() {
+  // Replay anything queued while offline as soon as the app is up
+  useEffect(() => {
+    outbox.start();
+  }, []);
+
   return (
     <AuthProvider>
-      <RootLayoutNav />
+      <AppLockProvider>
+        <TrackingProvider>
+          <RootLayoutNav />
+          <OfflineBanner />
+        </TrackingProvider>
+      </AppLockProvider>
     </AuthProvider>
   );
 }
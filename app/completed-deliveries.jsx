@@ -7,12 +7,15 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   RefreshControl,
-  Alert,
 } from 'react-native';
 import { useRouter } from 'expo-router';
 import { useAuth } from '../contexts/AuthContext';
-import { api } from '../lib/api';
+import { api, getCompletedDeliveries } from '../lib/api';
+import { showError } from '../lib/errorPresenter';
 import Sidebar from '../components/Sidebar';
+import TripSummary from '../components/TripSummary';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../lib/permissions';
 
 const CompletedDeliveries = () => {
   const [deliveries, setDeliveries] = useState([]);
@@ -20,13 +23,14 @@ const CompletedDeliveries = () => {
   const [refreshing, setRefreshing] = useState(false);
   const router = useRouter();
   const { userName, userId } = useAuth();
+  // Auditors and account executives see every completed delivery, drivers only their own
+  const viewAll = usePermission(PERMISSIONS.VIEW_ALL_DELIVERIES);
 
   const loadMyCompletedDeliveries = async () => {
     try {
-      const data = await api.getMyCompletedDeliveries();
-      setDeliveries(Array.isArray(data) ? data : []);
+      setDeliveries(viewAll ? await getCompletedDeliveries() : await api.getMyCompletedDeliveries());
     } catch (error) {
-      Alert.alert('Error', 'Failed to load your completed deliveries');
+      showError(error, { fallback: 'Failed to load your completed deliveries', onRetry: loadMyCompletedDeliveries });
       console.error('Load deliveries error:', error);
     } finally {
       setLoading(false);
@@ -43,9 +47,8 @@ const CompletedDeliveries = () => {
     loadMyCompletedDeliveries();
   };
 
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    const date = new Date(dateString);
+  const formatDate = (date) => {
+    if (!date) return 'N/A';
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
@@ -80,6 +83,8 @@ const CompletedDeliveries = () => {
           <Text style={styles.label}>Completed Date:</Text>
           <Text style={styles.value}>{formatDate(item.delivered_at)}</Text>
         </View>
+
+        <TripSummary assignmentId={item.assignment_id} summary={item.trip_summary} compact />
       </View>
 
       {/* Delivery Proof Section */}
@@ -122,9 +127,9 @@ const CompletedDeliveries = () => {
       
       <View style={styles.content}>
         <View style={styles.header}>
-          <Text style={styles.headerTitle}>{userName}'s Completed Deliveries</Text>
+          <Text style={styles.headerTitle}>{viewAll ? 'All Completed Deliveries' : `${userName}'s Completed Deliveries`}</Text>
           <Text style={styles.headerSubtitle}>
-            {deliveries.length} delivery{deliveries.length !== 1 ? 's' : ''} completed by you
+            {deliveries.length} delivery{deliveries.length !== 1 ? 's' : ''} completed {viewAll ? 'by all drivers' : 'by you'}
           </Text>
         </View>
 
@@ -146,7 +151,7 @@ const CompletedDeliveries = () => {
           <FlatList
             data={deliveries}
             renderItem={renderDeliveryItem}
-            keyExtractor={(item) => item.assignment_id.toString()}
+            keyExtractor={(item) => String(item.assignment_id)}
             contentContainerStyle={styles.listContainer}
             refreshControl={
               <RefreshControl
@@ -13,12 +13,20 @@ import Icon from "@expo/vector-icons/MaterialIcons";
 import { useRouter } from "expo-router";
 import Sidebar from "../components/Sidebar";
 import StatsCard from "../components/StatsCard";
+import { useTracking } from "../contexts/TrackingContext";
 
 export default function Dashboard() {
   const [sidebarVisible, setSidebarVisible] = useState(false);
   const [selectedPersonnel, setSelectedPersonnel] = useState(null);
   const insets = useSafeAreaInsets();
   const router = useRouter();
+  const tracking = useTracking();
+
+  const trackingText = {
+    starting: "Starting location tracking...",
+    tracking: `Tracking assignment #${tracking.activeAssignmentId}`,
+    error: tracking.error,
+  }[tracking.status];
 
   const navigateAndClose = (path) => {
     setSidebarVisible(false);
@@ -53,6 +61,31 @@ export default function Dashboard() {
             <StatsCard iconName="error" iconColor="#EA4335" title="Issues / Delays" value="2" />
           </View>
 
+          {/* ==== Location Tracking (runs app-wide, see lib/tracking) ==== */}
+          {trackingText && (
+            <TouchableOpacity
+              style={styles.trackingCard}
+              onPress={() => (tracking.status === "error"
+                ? tracking.retry()
+                : router.push({ pathname: "/taskdetails", params: { id: tracking.activeAssignmentId } }))}
+            >
+              <Icon
+                name={tracking.status === "error" ? "location-off" : "my-location"}
+                size={20}
+                color={tracking.status === "error" ? "#EA4335" : PURPLE}
+              />
+              <View style={styles.trackingBody}>
+                <Text style={styles.trackingTitle}>{trackingText}</Text>
+                <Text style={styles.trackingMeta}>
+                  {tracking.status === "error"
+                    ? "Tap to try again"
+                    : `${tracking.assignmentIds.length} open assignment(s)`
+                      + (tracking.lastFix ? ` · last fix ${new Date(tracking.lastFix.timestamp).toLocaleTimeString()}` : "")}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+
           {/* ==== Deliveries by Personnel Pie ==== */}
         
           {/* ==== Filtered Deliveries List ==== */}
@@ -103,6 +136,19 @@ const styles = StyleSheet.create({
     gap: 12,
   },
   // card styles moved into reusable component
+  trackingCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    width: "90%",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 16,
+    gap: 12,
+  },
+  trackingBody: { flex: 1 },
+  trackingTitle: { color: "#000", fontWeight: "600" },
+  trackingMeta: { color: "#666", fontSize: 12, marginTop: 2 },
   notificationsContainer: {
     backgroundColor: "#fff",
     width: "90%",
@@ -6,7 +6,6 @@ import {
   ScrollView,
   TouchableWithoutFeedback,
   TouchableOpacity,
-  Alert,
   ActivityIndicator
 } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -15,27 +14,46 @@ import { useAuth } from '../contexts/AuthContext';
 import Sidebar from '../components/Sidebar';
 import Icon from '@expo/vector-icons/MaterialIcons';
 import { api } from '../lib/api';
+import { showError } from '../lib/errorPresenter';
+import { applyAssignmentEvent } from '../lib/realtime';
+import { useAssignmentEvents, useRealtimeStatus } from '../hooks/useRealtime';
 
 export default function DeliveryInfo() {
   const [sidebarVisible, setSidebarVisible] = useState(false);
   const [assignments, setAssignments] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [showingSaved, setShowingSaved] = useState(false);
   const insets = useSafeAreaInsets();
   const router = useRouter();
   const { userName, userId } = useAuth();
+  const { mode: realtimeMode } = useRealtimeStatus();
+
+  // New, reassigned and cancelled assignments show up without tapping Refresh
+  useAssignmentEvents((event) => {
+    setAssignments((current) => applyAssignmentEvent(current, event));
+    setUpdatedAt(new Date());
+    setShowingSaved(false);
+  });
 
   useEffect(() => {
     loadMyAssignments();
   }, []);
 
   const loadMyAssignments = async () => {
+    let hasData = false;
     try {
-      // Use the user-specific API to get only current user's assignments
-      const assignmentsData = await api.getMyAssignments();
-      setAssignments(Array.isArray(assignmentsData) ? assignmentsData : []);
+      // User-specific list; the saved copy renders immediately while the server is asked again
+      await api.getMyAssignmentsCached(({ data, updatedAt: at, fromCache }) => {
+        hasData = true;
+        setAssignments(data);
+        setUpdatedAt(at);
+        setShowingSaved(fromCache);
+        setLoading(false);
+      });
     } catch (error) {
       console.error('Failed to load your assignments:', error);
-      Alert.alert('Error', 'Failed to load your delivery assignments');
+      if (!hasData) showError(error, { fallback: 'Failed to load your delivery assignments', onRetry: loadMyAssignments });
     } finally {
       setLoading(false);
     }
@@ -74,9 +92,9 @@ export default function DeliveryInfo() {
     return type === 'BRANCH' ? 'Branch' : 'Office';
   };
 
-  const formatDate = (dateString) => {
-    if (!dateString) return 'No due date';
-    return new Date(dateString).toLocaleDateString();
+  const formatDate = (date) => {
+    if (!date) return 'No due date';
+    return date.toLocaleDateString();
   };
 
   return (
@@ -98,6 +116,12 @@ export default function DeliveryInfo() {
           <ScrollView contentContainerStyle={styles.scrollContainer}>
             <Text style={styles.pageTitle}>Welcome, {userName}!</Text>
             <Text style={styles.subtitle}>Your Current Assignments</Text>
+            {updatedAt && (
+              <Text style={styles.updatedText}>
+                Last updated {updatedAt.toLocaleString()}{showingSaved ? ' (saved copy)' : ''}
+                {realtimeMode === 'socket' || realtimeMode === 'sse' ? ' · Live' : realtimeMode === 'polling' ? ' · Auto-refresh' : ''}
+              </Text>
+            )}
 
             {assignments.length === 0 ? (
               <View style={styles.emptyState}>
@@ -135,7 +159,7 @@ export default function DeliveryInfo() {
                         ]}
                       >
                         <Text style={styles.statusText}>
-                          {assignment.status.replace('_', ' ')}
+                          {assignment.status.replace(/_/g, ' ')}
                         </Text>
                       </View>
                     </View>
@@ -171,11 +195,11 @@ export default function DeliveryInfo() {
                   </View>
 
                   <View style={styles.assignmentDetails}>
-                    {assignment.amount && (
+                    {assignment.amount !== null && (
                       <View style={styles.detailRow}>
                         <Icon name="attach-money" size={14} color="#6021F3" />
                         <Text style={styles.detailText}>
-                          Amount: ₱{parseFloat(assignment.amount).toLocaleString()}
+                          Amount: ₱{assignment.amount.toLocaleString()}
                         </Text>
                       </View>
                     )}
@@ -246,6 +270,13 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     textAlign: 'center',
   },
+  updatedText: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.7)',
+    marginTop: -12,
+    marginBottom: 16,
+    textAlign: 'center',
+  },
   assignmentCard: {
     backgroundColor: YELLOW,
     borderRadius: 16,
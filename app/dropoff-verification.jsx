@@ -14,15 +14,24 @@ import useParsedLocalSearchParams from '../lib/params';
 import Icon from '@expo/vector-icons/MaterialIcons';
 import * as ImagePicker from 'expo-image-picker';
 import * as Location from 'expo-location'
-import { api } from '../lib/api';
+import outbox from '../lib/outbox';
+import trips from '../lib/tripRecorder';
+import { showError } from '../lib/errorPresenter';
+import { PERMISSIONS } from '../lib/permissions';
+import { usePermission } from '../hooks/usePermission';
+import { useTracking } from '../contexts/TrackingContext';
+import PermissionGuard from '../components/PermissionGuard';
 
 export default function DropoffVerificationScreen() {
   const { id } = useParsedLocalSearchParams();
   const router = useRouter();
+  const { refresh: refreshTracking } = useTracking();
   const [photo, setPhoto] = useState(null); // store full asset with uri/type/name
   const [recipient, setRecipient] = useState('');
   const [notes, setNotes] = useState('');
   const [loading, setLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // 0..1 while the photo uploads
+  const canComplete = usePermission(PERMISSIONS.COMPLETE_DELIVERY);
 
   const getCurrentLocation = async () => {
     try {
@@ -78,7 +87,9 @@ export default function DropoffVerificationScreen() {
         setLoading(false);
         return;
       }
-      await api.verifyDropoffMultipart(id, {
+      // The leg's summary goes with the verification; it ends once the dropoff is sent or queued.
+      // Queued in the outbox when offline so the driver is not stuck at the branch
+      const { queued } = await trips.finishAfter(id, (trip) => outbox.run('verifyDropoff', id, {
         file: photo && {
           uri: photo.uri,
           type: photo.mimeType || 'image/jpeg',
@@ -87,17 +98,31 @@ export default function DropoffVerificationScreen() {
         recipientName: recipient,
         location,
         notes: notes || 'Dropoff verified',
-      });
-      Alert.alert('Success', 'Delivery completed successfully!');
+        trip,
+      }, { onProgress: ({ fraction }) => setUploadProgress(fraction) }));
+      if (queued) {
+        Alert.alert('Pending Sync', 'You are offline. The delivery completion was saved and will be sent when the connection returns.');
+      } else {
+        Alert.alert('Success', 'Delivery completed successfully!');
+        refreshTracking();
+      }
       router.replace({ pathname: '/taskdetails', params: { id } });
     } catch (error) {
       console.error('Dropoff verification failed:', error);
-      Alert.alert('Error', error?.message || 'Failed to verify dropoff');
+      showError(error, { fallback: 'Failed to verify dropoff', onRetry: submitVerification });
     } finally {
       setLoading(false);
+      setUploadProgress(null);
     }
   };
 
+  const submitLabel = uploadProgress !== null
+    ? `Uploading photo ${Math.round(uploadProgress * 100)}%`
+    : 'Submitting...';
+
+  // Also reachable by deep link, so check here and not only on the button that leads here
+  if (!canComplete) return <PermissionGuard permission={PERMISSIONS.COMPLETE_DELIVERY} screen />;
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -148,8 +173,13 @@ export default function DropoffVerificationScreen() {
           onPress={submitVerification}
           disabled={loading}
         >
-          <Text style={styles.confirmButtonText}>{loading ? 'Submitting...' : 'Confirm'}</Text>
+          <Text style={styles.confirmButtonText}>{loading ? submitLabel : 'Confirm'}</Text>
         </TouchableOpacity>
+        {uploadProgress !== null && (
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+          </View>
+        )}
       </ScrollView>
     </View>
   );
@@ -197,4 +227,6 @@ const styles = StyleSheet.create({
   confirmButton: { backgroundColor: '#34A853', paddingVertical: 16, borderRadius: 12, alignItems: 'center', marginTop: 24 },
   confirmButtonDisabled: { opacity: 0.6 },
   confirmButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  progressTrack: { height: 6, borderRadius: 3, backgroundColor: '#eee', overflow: 'hidden', marginTop: 12 },
+  progressFill: { height: '100%', backgroundColor: '#34A853' },
 });
@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, View, TextInput, TouchableOpacity, Alert, Image } from 'react-native';
+import { useRouter } from 'expo-router';
+import useParsedLocalSearchParams from '../lib/params';
+import { api } from '../lib/api';
+import { showError } from '../lib/errorPresenter';
+import { checkPassword } from '../lib/password';
+import PasswordStrength from '../components/PasswordStrength';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Forgot password at /forgot-password (public): email -> reset code -> new password.
+// Login passes what was typed as ?email= so it does not have to be entered twice.
+export default function ForgotPassword() {
+  const router = useRouter();
+  const params = useParsedLocalSearchParams();
+  const [step, setStep] = useState('email'); // email | code | password
+  const [email, setEmail] = useState(typeof params.email === 'string' ? params.email : '');
+  const [code, setCode] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const sendCode = async () => {
+    if (!EMAIL_PATTERN.test(email.trim())) {
+      Alert.alert('Error', 'Please enter the email address you log in with.');
+      return;
+    }
+    setLoading(true);
+    try {
+      await api.requestPasswordReset(email);
+      setCode('');
+      setStep('code');
+    } catch (error) {
+      console.error('Password reset request failed:', error);
+      showError(error, { fallback: 'Could not send a reset code', onRetry: sendCode });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyCode = async () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      Alert.alert('Error', 'Enter the 6-digit code from the email.');
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await api.verifyResetCode(email, code);
+      setResetToken(res?.resetToken);
+      setStep('password');
+    } catch (error) {
+      console.error('Reset code rejected:', error);
+      showError(error, { fallback: 'Could not check the code', onRetry: verifyCode });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const savePassword = async () => {
+    const { valid, problems } = checkPassword(newPassword, { email });
+    if (!valid) {
+      Alert.alert('Choose a Stronger Password', problems.map((p) => `• ${p}`).join('\n'));
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'The passwords do not match.');
+      return;
+    }
+    setLoading(true);
+    try {
+      await api.resetPassword(resetToken, newPassword);
+      Alert.alert('Password Updated', 'You can now log in with your new password.', [
+        { text: 'OK', onPress: () => router.replace('/login') },
+      ]);
+    } catch (error) {
+      console.error('Password reset failed:', error);
+      if (error?.code === 'RESET_CODE_EXPIRED') setStep('email');
+      showError(error, { fallback: 'Could not update your password', onRetry: savePassword });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const titles = {
+    email: ['Forgot Password', 'Enter your email and we will send you a reset code.'],
+    code: ['Enter Code', `We sent a 6-digit code to ${email.trim()}. It is valid for 15 minutes.`],
+    password: ['New Password', 'Choose a new password for your account.'],
+  };
+  const [title, subtitle] = titles[step];
+
+  return (
+    <View style={styles.background}>
+      <View style={styles.overlay}>
+        <Image source={require('../assets/mze.png')} style={styles.logo} resizeMode="contain" />
+        <Text style={styles.title}>{title}</Text>
+        <Text style={styles.subtitle}>{subtitle}</Text>
+
+        {step === 'email' && (
+          <TextInput
+            style={styles.input}
+            placeholder="Email"
+            placeholderTextColor="#fff"
+            value={email}
+            onChangeText={setEmail}
+            autoCapitalize="none"
+            keyboardType="email-address"
+            autoFocus
+          />
+        )}
+
+        {step === 'code' && (
+          <TextInput
+            style={[styles.input, styles.codeInput]}
+            placeholder="123456"
+            placeholderTextColor="rgba(255,255,255,0.5)"
+            value={code}
+            onChangeText={(text) => setCode(text.replace(/\D/g, '').slice(0, 6))}
+            keyboardType="number-pad"
+            maxLength={6}
+            autoFocus
+          />
+        )}
+
+        {step === 'password' && (
+          <>
+            <TextInput
+              style={styles.input}
+              placeholder="New password"
+              placeholderTextColor="#fff"
+              value={newPassword}
+              onChangeText={setNewPassword}
+              secureTextEntry
+              autoFocus
+            />
+            <PasswordStrength password={newPassword} email={email} onDark />
+            <TextInput
+              style={styles.input}
+              placeholder="Confirm new password"
+              placeholderTextColor="#fff"
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              secureTextEntry
+            />
+          </>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={step === 'email' ? sendCode : step === 'code' ? verifyCode : savePassword}
+          disabled={loading}
+        >
+          <Text style={styles.buttonText}>
+            {loading ? 'Please wait...' : step === 'email' ? 'Send Code' : step === 'code' ? 'Verify Code' : 'Save Password'}
+          </Text>
+        </TouchableOpacity>
+
+        {step === 'code' && (
+          <TouchableOpacity style={styles.link} onPress={sendCode} disabled={loading}>
+            <Text style={styles.linkText}>Send a new code</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity style={styles.link} onPress={() => router.replace('/login')}>
+          <Text style={styles.linkText}>Back to login</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  background: {
+    flex: 1,
+    backgroundColor: '#4B0082',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  logo: {
+    width: 220,
+    height: 90,
+    marginBottom: 8,
+  },
+  overlay: {
+    width: '75%',
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    borderRadius: 20,
+    padding: 28,
+    alignItems: 'center',
+  },
+  title: {
+    color: '#FFD700',
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  subtitle: {
+    color: '#fff',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  input: {
+    width: '100%',
+    height: 50,
+    borderColor: '#fff',
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    marginBottom: 16,
+    fontSize: 16,
+    color: '#fff',
+    backgroundColor: 'rgba(255,255,255,0.25)',
+  },
+  codeInput: {
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  button: {
+    width: '100%',
+    backgroundColor: '#8A2BE2',
+    paddingVertical: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: '#FFD700',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  link: {
+    marginTop: 14,
+  },
+  linkText: {
+    color: '#fff',
+    textDecorationLine: 'underline',
+  },
+});
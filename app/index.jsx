@@ -1,9 +1,12 @@
 import React, { useEffect } from 'react';
 import { Redirect } from 'expo-router';
 import { API_BASE_URL, api } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
 
-// Initial route: redirect to login
+// Initial route: dashboard for a restored session, otherwise login
 export default function Index() {
+  const { loading, isAuthenticated } = useAuth();
+
   useEffect(() => {
     (async () => {
       console.log('[Startup] API base URL:', API_BASE_URL);
@@ -15,5 +18,8 @@ export default function Index() {
       }
     })();
   }, []);
-  return <Redirect href="/login" />;
+
+  // Wait for AuthContext to restore (or reject) the stored session
+  if (loading) return null;
+  return <Redirect href={isAuthenticated ? '/dashboard' : '/login'} />;
 }
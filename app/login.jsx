@@ -2,7 +2,16 @@ import 'react-native-gesture-handler';
 import React, { useState, useEffect } from 'react';
 import { StyleSheet, Text, View, TextInput, TouchableOpacity, Alert, Image } from 'react-native';
 import { useRouter } from 'expo-router';
-import { api, initializeApp, setApiBaseUrl, getApiDiagnostics } from '../lib/api';
+import {
+  api,
+  initializeApp,
+  setApiBaseUrl,
+  getApiDiagnostics,
+  API_PROFILES,
+  setApiProfile,
+} from '../lib/api';
+import { NetworkError } from '../lib/errors';
+import { showError } from '../lib/errorPresenter';
 import LocationPermissionService from '../services/LocationPermissionService';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -10,32 +19,59 @@ import { useAuth } from '../contexts/AuthContext';
 export default function Login() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const router = useRouter();
   const { login } = useAuth();
+  const router = useRouter();
 
   const [loading, setLoading] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('checking'); // checking | connected | failed
   const [apiBase, setApiBase] = useState('');
+  const [transportName, setTransportName] = useState('');
+  const [profile, setProfile] = useState('');
+  const [probes, setProbes] = useState([]);
   const [showDebug, setShowDebug] = useState(false);
   const [overrideInput, setOverrideInput] = useState('');
 
+  const refreshDiagnostics = () => {
+    const diag = getApiDiagnostics();
+    setApiBase(diag.API_BASE_URL);
+    setTransportName(diag.transport);
+    setProfile(diag.profile);
+    setProbes(diag.probes);
+    setOverrideInput(diag.API_BASE_URL);
+  };
+
   useEffect(() => {
     (async () => {
       const connected = await initializeApp();
       setConnectionStatus(connected ? 'connected' : 'failed');
-      const diag = getApiDiagnostics();
-      setApiBase(diag.API_BASE_URL);
-      setOverrideInput(diag.API_BASE_URL);
+      refreshDiagnostics();
     })();
   }, []);
 
+  const switchProfile = async (name) => {
+    if (name === profile) return;
+    setConnectionStatus('checking');
+    setProfile(name);
+    await setApiProfile(name);
+    const connected = await api.testConnection();
+    setConnectionStatus(connected ? 'connected' : 'failed');
+    refreshDiagnostics();
+  };
+
+  const recheckConnection = async () => {
+    setConnectionStatus('checking');
+    const connected = await initializeApp();
+    setConnectionStatus(connected ? 'connected' : 'failed');
+    refreshDiagnostics();
+  };
+
   const handleLogin = async () => {
     if (connectionStatus === 'failed') {
-      Alert.alert(
-        'Connection Error',
-        `Cannot connect to server. Please check:\n\n• Backend is running\n• Correct IP address in lib/api.js\n• Same WiFi network`,
-        [{ text: 'OK' }]
-      );
+      const message = `Cannot connect to server. Please check:\n\n• Backend is running\n• Correct IP address in lib/api.js\n• Same WiFi network`;
+      showError(new NetworkError(message, { userMessage: message }), {
+        title: 'Connection Error',
+        onRetry: recheckConnection,
+      });
       return;
     }
 
@@ -63,8 +99,12 @@ export default function Login() {
           BranchID: resp.user.branchId,
           Photo: resp.user.photo
         };
-        // Store user data using AuthContext
-        await login(transformedUser);
+        // Store the session (tokens + user) using AuthContext
+        await login({
+          user: transformedUser,
+          accessToken: resp.accessToken || resp.token,
+          refreshToken: resp.refreshToken,
+        });
         // Prompt for location permission right after successful login
         try {
           const ready = await LocationPermissionService.ensureAfterLogin();
@@ -73,15 +113,18 @@ export default function Login() {
             console.log('Location not ready yet; proceeding to dashboard');
           }
         } catch {}
-        // Navigate to dashboard
-        console.log('✅ Navigating to dashboard');
-        router.replace('/dashboard');
+        // The route guard in app/_layout.jsx moves on to the dashboard (or the remembered route)
+        console.log('✅ Login complete');
       } else {
         throw new Error(resp.message || 'Login failed');
       }
     } catch (e) {
       console.error('Login error:', e);
-      Alert.alert('Login Failed', e.message || 'An error occurred during login');
+      showError(e, {
+        title: 'Login Failed',
+        fallback: e.message || 'An error occurred during login',
+        onRetry: handleLogin,
+      });
     } finally {
       setLoading(false);
     }
@@ -125,6 +168,33 @@ export default function Login() {
             <View style={styles.debugBox}>
               <Text style={styles.debugLabel}>API Base:</Text>
               <Text style={styles.debugValue}>{apiBase}</Text>
+              <Text style={styles.debugLabel}>Transport:</Text>
+              <Text style={styles.debugValue}>{transportName}</Text>
+              <Text style={styles.debugLabel}>Environment:</Text>
+              <View style={styles.profileRow}>
+                {Object.entries(API_PROFILES).map(([name, p]) => (
+                  <TouchableOpacity
+                    key={name}
+                    style={[styles.profileChip, profile === name && styles.profileChipActive]}
+                    onPress={() => switchProfile(name)}
+                    disabled={connectionStatus === 'checking'}
+                  >
+                    <Text style={styles.profileChipText}>{p.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {probes.length > 0 && (
+                <>
+                  <Text style={styles.debugLabel}>Probes:</Text>
+                  {probes.map((p) => (
+                    <Text key={p.url} style={styles.debugProbe}>
+                      {p.pending ? '…' : p.ok ? '✅' : '❌'} {p.base}
+                      {p.ms !== undefined ? ` ${p.ms}ms` : ''}
+                      {p.error ? ` – ${p.error}` : (!p.ok && p.status ? ` – HTTP ${p.status}` : '')}
+                    </Text>
+                  ))}
+                </>
+              )}
               <TextInput
                 style={styles.debugInput}
                 value={overrideInput}
@@ -166,6 +236,13 @@ export default function Login() {
           <Text style={styles.buttonText}>{loading ? 'Logging in...' : 'Login'}</Text>
         </TouchableOpacity>
 
+        <TouchableOpacity
+          style={styles.forgotLink}
+          onPress={() => router.push({ pathname: '/forgot-password', params: email.trim() ? { email: email.trim() } : {} })}
+        >
+          <Text style={styles.forgotText}>Forgot password?</Text>
+        </TouchableOpacity>
+
         
       </View>
     </View>
@@ -222,6 +299,13 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  forgotLink: {
+    marginTop: 14,
+  },
+  forgotText: {
+    color: '#fff',
+    textDecorationLine: 'underline',
+  },
   // Connection status styles
   connectionStatus: {
     padding: 10,
@@ -264,6 +348,31 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginBottom: 8,
   },
+  profileRow: {
+    flexDirection: 'row',
+    gap: 6,
+    marginBottom: 8,
+  },
+  profileChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.4)',
+  },
+  profileChipActive: {
+    backgroundColor: '#8A2BE2',
+    borderColor: '#FFD700',
+  },
+  profileChipText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  debugProbe: {
+    color: '#fff',
+    fontSize: 10,
+    marginBottom: 2,
+  },
   debugInput: {
     width: '100%',
     height: 40,
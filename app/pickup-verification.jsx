@@ -3,22 +3,31 @@ import { Alert } from 'react-native';
 import { useRouter } from 'expo-router';
 import useParsedLocalSearchParams from '../lib/params';
 import PickupVerification from '../components/PickupVerification';
+import PermissionGuard from '../components/PermissionGuard';
+import { PERMISSIONS } from '../lib/permissions';
+import { useTracking } from '../contexts/TrackingContext';
 
 export default function PickupVerificationScreen() {
   const params = useParsedLocalSearchParams();
   const id = params?.id || params?.assignmentId;
   const router = useRouter();
+  const { refresh: refreshTracking } = useTracking();
 
-  const handleComplete = () => {
-    Alert.alert('Pickup Verified', 'Status updated to In Progress.');
+  const handleComplete = (status, { queued } = {}) => {
+    if (!queued) {
+      Alert.alert('Pickup Verified', 'Status updated to In Progress.');
+      refreshTracking();
+    }
     router.replace({ pathname: '/taskdetails', params: { id } });
   };
 
   return (
-    <PickupVerification
-      assignmentId={id}
-      onVerificationComplete={handleComplete}
-      onCancel={() => router.back()}
-    />
+    <PermissionGuard permission={PERMISSIONS.VERIFY_PICKUP} screen>
+      <PickupVerification
+        assignmentId={id}
+        onVerificationComplete={handleComplete}
+        onCancel={() => router.back()}
+      />
+    </PermissionGuard>
   );
 }
@@ -5,7 +5,9 @@ import {
   StyleSheet,
   Image,
   TouchableWithoutFeedback,
+  TouchableOpacity,
   ScrollView,
+  TextInput,
   Alert,
   ActivityIndicator
 } from 'react-native';
@@ -15,6 +17,13 @@ import { useRouter } from 'expo-router';
 import { LinearGradient } from 'expo-linear-gradient';
 import Sidebar from '../components/Sidebar';
 import { api } from '../lib/api';
+import { showError } from '../lib/errorPresenter';
+import { useAppLock } from '../contexts/AppLockContext';
+import { checkPassword } from '../lib/password';
+import PasswordStrength from '../components/PasswordStrength';
+
+// Auto-lock choices offered in the App Lock section
+const LOCK_AFTER_MINUTES = [1, 5, 15];
 
 export default function Profile() {
   const [sidebarVisible, setSidebarVisible] = useState(false);
@@ -22,6 +31,12 @@ export default function Profile() {
   const [loading, setLoading] = useState(true);
   const insets = useSafeAreaInsets();
   const router = useRouter();
+  const { settings: lockSettings, updateSettings: updateLockSettings, lock } = useAppLock();
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [savingPassword, setSavingPassword] = useState(false);
 
   useEffect(() => {
     loadProfile();
@@ -33,12 +48,46 @@ export default function Profile() {
       setProfile(profileData);
     } catch (error) {
       console.error('Failed to load profile:', error);
-      Alert.alert('Error', 'Failed to load profile information');
+      showError(error, { fallback: 'Failed to load profile information', onRetry: loadProfile });
     } finally {
       setLoading(false);
     }
   };
 
+  const resetPasswordForm = () => {
+    setChangingPassword(false);
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+  };
+
+  const savePassword = async () => {
+    if (!currentPassword) {
+      Alert.alert('Error', 'Please enter your current password.');
+      return;
+    }
+    const { valid, problems } = checkPassword(newPassword, { email: profile?.email, username: profile?.username });
+    if (!valid) {
+      Alert.alert('Choose a Stronger Password', problems.map((p) => `• ${p}`).join('\n'));
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'The new passwords do not match.');
+      return;
+    }
+    setSavingPassword(true);
+    try {
+      await api.changePassword(currentPassword, newPassword);
+      resetPasswordForm();
+      Alert.alert('Password Changed', 'Use your new password next time you log in.');
+    } catch (error) {
+      console.error('Failed to change password:', error);
+      showError(error, { fallback: 'Could not change your password', onRetry: savePassword });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
   const navigateAndClose = (path) => {
     setSidebarVisible(false);
     router.push(path);
@@ -142,6 +191,87 @@ export default function Profile() {
               <DetailRow icon="business" label="Branch" value={profile.branchName || `Branch ${profile.branchId}`} />
               <DetailRow icon="confirmation-number" label="Branch Code" value={profile.branchCode} />
             </View>
+
+            {/* App lock */}
+            <View style={styles.detailsList}>
+              <Text style={styles.sectionTitle}>App Lock</Text>
+              <View style={styles.detailRow}>
+                <View style={styles.detailLeft}>
+                  <Icon name="timer" size={20} color="#6021F3" />
+                  <Text style={styles.detailLabel}>Lock after</Text>
+                </View>
+                <View style={styles.choiceRow}>
+                  {LOCK_AFTER_MINUTES.map((minutes) => {
+                    const selected = lockSettings.inactivityMs === minutes * 60000;
+                    return (
+                      <TouchableOpacity
+                        key={minutes}
+                        style={[styles.choice, selected && styles.choiceSelected]}
+                        onPress={() => updateLockSettings({ inactivityMs: minutes * 60000 })}
+                      >
+                        <Text style={[styles.choiceText, selected && styles.choiceTextSelected]}>{minutes} min</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+              <TouchableOpacity style={styles.lockButton} onPress={lock}>
+                <Icon name="lock" size={18} color={PURPLE} />
+                <Text style={styles.lockButtonText}>Lock Now</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* Password */}
+            <View style={styles.detailsList}>
+              <Text style={styles.sectionTitle}>Password</Text>
+              {!changingPassword ? (
+                <TouchableOpacity style={styles.detailRow} onPress={() => setChangingPassword(true)}>
+                  <View style={styles.detailLeft}>
+                    <Icon name="vpn-key" size={20} color="#6021F3" />
+                    <Text style={styles.detailLabel}>Change Password</Text>
+                  </View>
+                  <Icon name="chevron-right" size={20} color="#999" />
+                </TouchableOpacity>
+              ) : (
+                <View>
+                  <TextInput
+                    style={styles.passwordInput}
+                    placeholder="Current password"
+                    placeholderTextColor="#999"
+                    value={currentPassword}
+                    onChangeText={setCurrentPassword}
+                    secureTextEntry
+                  />
+                  <TextInput
+                    style={styles.passwordInput}
+                    placeholder="New password"
+                    placeholderTextColor="#999"
+                    value={newPassword}
+                    onChangeText={setNewPassword}
+                    secureTextEntry
+                  />
+                  <PasswordStrength password={newPassword} email={profile.email} username={profile.username} />
+                  <TextInput
+                    style={styles.passwordInput}
+                    placeholder="Confirm new password"
+                    placeholderTextColor="#999"
+                    value={confirmPassword}
+                    onChangeText={setConfirmPassword}
+                    secureTextEntry
+                  />
+                  <View style={styles.passwordButtons}>
+                    <TouchableOpacity style={styles.cancelButton} onPress={resetPasswordForm} disabled={savingPassword}>
+                      <Text style={styles.cancelButtonText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={[styles.lockButton, styles.saveButton]} onPress={savePassword} disabled={savingPassword}>
+                      {savingPassword
+                        ? <ActivityIndicator color={PURPLE} />
+                        : <Text style={styles.lockButtonText}>Save Password</Text>}
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+            </View>
           </View>
         </ScrollView>
       </SafeAreaView>
@@ -240,4 +370,42 @@ const styles = StyleSheet.create({
   detailLeft: { flexDirection: 'row', alignItems: 'center', gap: 8 },
   detailLabel: { color: '#333', fontWeight: '600' },
   detailValue: { color: '#000', flexShrink: 1, textAlign: 'right' },
+  sectionTitle: { fontSize: 16, fontWeight: 'bold', color: '#333', marginTop: 8, marginBottom: 8 },
+  choiceRow: { flexDirection: 'row', gap: 6 },
+  choice: { paddingHorizontal: 10, paddingVertical: 6, borderRadius: 8, backgroundColor: '#fff' },
+  choiceSelected: { backgroundColor: PURPLE },
+  choiceText: { color: '#333', fontWeight: '600' },
+  choiceTextSelected: { color: '#fff' },
+  lockButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    backgroundColor: YELLOW,
+    borderRadius: 12,
+    paddingVertical: 12,
+  },
+  lockButtonText: { color: PURPLE, fontWeight: 'bold' },
+  passwordInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+    color: '#000',
+    backgroundColor: '#F7F7FA',
+  },
+  passwordButtons: { flexDirection: 'row', gap: 8 },
+  cancelButton: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: PURPLE,
+    paddingVertical: 12,
+  },
+  cancelButtonText: { color: PURPLE, fontWeight: '600' },
+  saveButton: { flex: 1 },
 });
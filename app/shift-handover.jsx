@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import Icon from '@expo/vector-icons/MaterialIcons';
+import { useRouter } from 'expo-router';
+import Sidebar from '../components/Sidebar';
+import { useAuth } from '../contexts/AuthContext';
+import { useOutbox } from '../hooks/useOutbox';
+import { api } from '../lib/api';
+import { showError } from '../lib/errorPresenter';
+import shiftHandover, { unfinishedAssignments } from '../lib/shiftHandover';
+
+// End of shift on a shared vehicle device: review what has not reached the server yet and the
+// assignments still open, sync or hand them over, then log out for the next driver.
+export default function ShiftHandover() {
+  const insets = useSafeAreaInsets();
+  const router = useRouter();
+  const { user, logout } = useAuth();
+  const { items, pending, failed, online, syncing, flush, retryFailed } = useOutbox();
+  const [sidebarVisible, setSidebarVisible] = useState(false);
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [note, setNote] = useState('');
+  const [handingOver, setHandingOver] = useState(false);
+
+  useEffect(() => {
+    loadAssignments();
+  }, []);
+
+  const loadAssignments = async () => {
+    let hasData = false;
+    try {
+      await api.getMyAssignmentsCached(({ data }) => {
+        hasData = true;
+        setAssignments(unfinishedAssignments(data));
+        setLoading(false);
+      });
+    } catch (error) {
+      console.error('Failed to load assignments for handover:', error);
+      if (!hasData) showError(error, { fallback: 'Failed to load your assignments', onRetry: loadAssignments });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // One line per assignment and kind of change; GPS points are summed up rather than listed
+  const unsentGroups = useMemo(() => {
+    const groups = new Map();
+    items.forEach((entry) => {
+      const key = `${entry.assignmentId}:${entry.type}`;
+      const group = groups.get(key) || { key, type: entry.type, assignmentId: entry.assignmentId, count: 0, failed: 0, lastError: null };
+      group.count += 1;
+      if (entry.state === 'failed') {
+        group.failed += 1;
+        group.lastError = entry.lastError;
+      }
+      groups.set(key, group);
+    });
+    return [...groups.values()];
+  }, [items]);
+
+  const navigateAndClose = (path) => {
+    setSidebarVisible(false);
+    router.push(path);
+  };
+
+  const closeSidebar = () => {
+    if (sidebarVisible) setSidebarVisible(false);
+  };
+
+  const getEntryLabel = (group) => {
+    switch (group.type) {
+      case 'verifyPickup': return 'Pickup verification';
+      case 'verifyDropoff': return 'Delivery completion';
+      case 'status': return 'Status change';
+      case 'geofence': return `${group.count} branch arrival/departure${group.count !== 1 ? 's' : ''}`;
+      default: return group.type;
+    }
+  };
+
+  const handOver = async () => {
+    setHandingOver(true);
+    try {
+      const result = await shiftHandover.handOver({ user, assignments, note });
+      if (result.reassignError) {
+        Alert.alert(
+          'Call Dispatch',
+          'Dispatch could not be told about your open assignments. Please call them so they can be reassigned.'
+        );
+      }
+      await logout();
+    } catch (error) {
+      console.error('Shift handover failed:', error);
+      showError(error, { title: 'Handover Failed', fallback: 'Could not complete the handover', onRetry: handOver });
+    } finally {
+      setHandingOver(false);
+    }
+  };
+
+  const confirmHandOver = () => {
+    const parts = [];
+    if (items.length) parts.push(`${items.length} unsent item${items.length !== 1 ? 's' : ''} will be passed to the next driver to sync.`);
+    if (assignments.length) parts.push(`Dispatch will be asked to reassign ${assignments.length} open assignment${assignments.length !== 1 ? 's' : ''}.`);
+    Alert.alert(
+      'End Shift',
+      [...parts, 'You will be logged out.'].join('\n\n'),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Hand Over', style: 'destructive', onPress: handOver },
+      ]
+    );
+  };
+
+  return (
+    <TouchableWithoutFeedback onPress={closeSidebar}>
+      <SafeAreaView style={[styles.container, { paddingTop: insets.top }]}>
+        <Sidebar
+          visible={sidebarVisible}
+          onVisibleChange={setSidebarVisible}
+          top={insets.top + 8}
+          onNavigate={navigateAndClose}
+        />
+
+        <ScrollView contentContainerStyle={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+          <Text style={styles.pageTitle}>Shift Handover</Text>
+          <Text style={styles.subtitle}>Check nothing is left behind before the next driver takes over.</Text>
+
+          <View style={styles.card}>
+            <View style={styles.cardTitleRow}>
+              <Text style={styles.sectionTitle}>Not yet synced</Text>
+              {syncing && <ActivityIndicator size="small" color={PURPLE} />}
+            </View>
+            {unsentGroups.length === 0 ? (
+              <View style={styles.allClear}>
+                <Icon name="cloud-done" size={18} color="#34A853" />
+                <Text style={styles.allClearText}>Everything has reached the server</Text>
+              </View>
+            ) : (
+              unsentGroups.map((group) => (
+                <View key={group.key} style={styles.itemRow}>
+                  <Icon name={group.failed ? 'error-outline' : 'schedule'} size={18} color={group.failed ? '#EA4335' : PURPLE} />
+                  <View style={styles.itemInfo}>
+                    <Text style={styles.itemTitle}>{getEntryLabel(group)} · Assignment #{group.assignmentId}</Text>
+                    {!!group.failed && (
+                      <Text style={styles.itemError} numberOfLines={2}>
+                        Rejected{group.lastError ? `: ${group.lastError}` : ''}
+                      </Text>
+                    )}
+                  </View>
+                </View>
+              ))
+            )}
+            {!online && pending > 0 && <Text style={styles.hint}>No connection – these will sync once back online.</Text>}
+            {items.length > 0 && (
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={styles.secondaryButton} onPress={flush} disabled={syncing || !online}>
+                  <Text style={styles.secondaryButtonText}>Sync Now</Text>
+                </TouchableOpacity>
+                {failed > 0 && (
+                  <TouchableOpacity style={styles.secondaryButton} onPress={retryFailed} disabled={syncing}>
+                    <Text style={styles.secondaryButtonText}>Retry Failed</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+          </View>
+
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Open assignments</Text>
+            {loading ? (
+              <ActivityIndicator color={PURPLE} />
+            ) : assignments.length === 0 ? (
+              <View style={styles.allClear}>
+                <Icon name="check-circle" size={18} color="#34A853" />
+                <Text style={styles.allClearText}>No assignments left open</Text>
+              </View>
+            ) : (
+              assignments.map((assignment) => (
+                <View key={assignment.assignment_id} style={styles.itemRow}>
+                  <Icon name="local-shipping" size={18} color={PURPLE} />
+                  <View style={styles.itemInfo}>
+                    <Text style={styles.itemTitle}>
+                      Assignment #{assignment.assignment_id} · {assignment.status.replace(/_/g, ' ')}
+                    </Text>
+                    <Text style={styles.itemSubtitle}>To {assignment.to_branch_name || 'Office'}</Text>
+                  </View>
+                </View>
+              ))
+            )}
+          </View>
+
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Note for the next driver</Text>
+            <TextInput
+              style={styles.noteInput}
+              value={note}
+              onChangeText={setNote}
+              placeholder="e.g. Parcel for Branch 12 is in the back seat"
+              placeholderTextColor="#999"
+              multiline
+            />
+          </View>
+
+          <TouchableOpacity style={styles.primaryButton} onPress={confirmHandOver} disabled={handingOver || loading}>
+            {handingOver
+              ? <ActivityIndicator color={PURPLE} />
+              : <Text style={styles.primaryButtonText}>Hand Over & End Shift</Text>}
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    </TouchableWithoutFeedback>
+  );
+}
+
+const PURPLE = '#6021F3';
+const YELLOW = '#FFB84D';
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: PURPLE },
+  scrollContainer: {
+    paddingVertical: 20,
+    paddingHorizontal: 16,
+    paddingTop: 92,
+    paddingBottom: 80,
+  },
+  pageTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: 'rgba(255,255,255,0.8)',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  allClear: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  allClearText: {
+    color: '#333',
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    backgroundColor: '#F7F7FA',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 8,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemTitle: {
+    color: '#000',
+    fontWeight: '600',
+  },
+  itemSubtitle: {
+    color: '#666',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  itemError: {
+    color: '#EA4335',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  hint: {
+    color: '#666',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: PURPLE,
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  secondaryButtonText: {
+    color: PURPLE,
+    fontWeight: '600',
+  },
+  noteInput: {
+    minHeight: 70,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 10,
+    color: '#000',
+    textAlignVertical: 'top',
+  },
+  primaryButton: {
+    backgroundColor: YELLOW,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: PURPLE,
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
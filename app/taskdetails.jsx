@@ -13,8 +13,26 @@ import Icon from '@expo/vector-icons/MaterialIcons';
 import { useRouter } from 'expo-router';
 import useParsedLocalSearchParams from '../lib/params';
 import Sidebar from '../components/Sidebar';
+import TripSummary from '../components/TripSummary';
 import { api } from '../lib/api';
+import { showError } from '../lib/errorPresenter';
+import outbox from '../lib/outbox';
 import { useLocationTracking } from '../hooks/useLocationTracking';
+import { useTracking } from '../contexts/TrackingContext';
+import { effectiveStatus as effectiveAssignmentStatus } from '../lib/tracking';
+import { useOutbox } from '../hooks/useOutbox';
+import { useAssignmentEvents } from '../hooks/useRealtime';
+import { usePermissions } from '../hooks/usePermission';
+import { PERMISSIONS } from '../lib/permissions';
+
+// lib/trackingPolicy modes as the driver reads them
+const TRACKING_MODE_LABELS = {
+  stationary: 'parked, saving battery',
+  approaching: 'arriving',
+  lowBattery: 'low battery',
+  fast: 'highway',
+  moving: 'en route',
+};
 
 export default function TaskDetails() {
   const insets = useSafeAreaInsets();
@@ -22,26 +40,69 @@ export default function TaskDetails() {
   const [sidebarVisible, setSidebarVisible] = useState(false);
   const [assignment, setAssignment] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [showingSaved, setShowingSaved] = useState(false);
   const { id } = useParsedLocalSearchParams();
+  // Actions waiting in the offline outbox
+  const { assignmentItems: unsyncedActions, retryFailed } = useOutbox(id);
+
+  // Status as the driver sees it: queued verifications count as done until the server says otherwise
+  const effectiveStatus = useMemo(
+    () => effectiveAssignmentStatus(assignment, unsyncedActions),
+    [assignment, unsyncedActions]
+  );
 
-  // Start location tracking when this task is active
-  const trackingActive = useMemo(() => {
-    const s = String(assignment?.status || '').toUpperCase();
-    return s === 'ASSIGNED' || s === 'IN_PROGRESS';
-  }, [assignment]);
-  const { isTracking, locationError } = useLocationTracking(id, trackingActive);
+  const { can } = usePermissions();
+  const canVerifyPickup = can(PERMISSIONS.VERIFY_PICKUP);
+  const canCompleteDelivery = can(PERMISSIONS.COMPLETE_DELIVERY);
+
+  // Tracking itself is run app-wide (lib/tracking); this screen only shows it
+  const { activeAssignmentId, mode: trackingMode, refresh: refreshTracking } = useTracking();
+  const { location, isActive: trackingActive, isTracking, locationError, buffer, visits } = useLocationTracking(id);
+  // One assignment is tracked at a time: the one in progress, otherwise the next one due
+  const trackingElsewhere = activeAssignmentId && String(activeAssignmentId) !== String(id);
+  const trackingLabel = isTracking
+    ? `📡 Tracking driver location${trackingMode ? ` (${TRACKING_MODE_LABELS[trackingMode] || trackingMode})` : ''}`
+    : trackingElsewhere
+      ? `📡 Tracking assignment #${activeAssignmentId} first`
+      : '⏳ Starting location tracking...';
 
   useEffect(() => {
     loadAssignmentDetails();
   }, [id]);
 
+  // Someone in the office changed this assignment while it is open
+  useAssignmentEvents((event) => {
+    if (event.type === 'cancelled') {
+      setAssignment((current) => (current ? { ...current, status: 'CANCELLED' } : current));
+      Alert.alert('Assignment Cancelled', 'This assignment was cancelled by the office.');
+      return;
+    }
+    if (event.type === 'reassigned' && event.removed) {
+      Alert.alert('Assignment Reassigned', 'This assignment was moved to another driver.', [
+        { text: 'OK', onPress: () => router.replace('/deliveryinfo') },
+      ]);
+      return;
+    }
+    if (event.type === 'due_date_changed' && event.patch) {
+      setAssignment((current) => (current ? { ...current, ...event.patch } : current));
+    }
+    loadAssignmentDetails();
+  }, id);
+
   const loadAssignmentDetails = async () => {
+    let hasData = false;
     try {
-      const assignmentData = await api.getDeliveryAssignment(id);
-      setAssignment(assignmentData);
+      await api.getDeliveryAssignmentCached(id, ({ data, updatedAt: at, fromCache }) => {
+        hasData = true;
+        setAssignment(data);
+        setUpdatedAt(at);
+        setShowingSaved(fromCache);
+        setLoading(false);
+      });
     } catch (error) {
       console.error('Failed to load assignment details:', error);
-      Alert.alert('Error', 'Failed to load assignment details');
+      if (!hasData) showError(error, { fallback: 'Failed to load assignment details', onRetry: loadAssignmentDetails });
     } finally {
       setLoading(false);
     }
@@ -49,17 +110,27 @@ export default function TaskDetails() {
 
   const updateStatus = async (newStatus) => {
     try {
-      await api.updateDeliveryStatus(id, newStatus);
+      const { queued } = await outbox.run('status', id, { status: newStatus, notes: '' });
+      if (queued) {
+        Alert.alert('Pending Sync', 'You are offline. The status change will be sent when the connection returns.');
+        return;
+      }
       Alert.alert('Success', `Status updated to ${String(newStatus || '').replace(/_/g, ' ')}`);
       loadAssignmentDetails(); // Refresh data
+      refreshTracking();
     } catch (error) {
-      Alert.alert('Error', 'Failed to update status');
+      // A conflict means the server already moved on; reload so the buttons match its status
+      if (error?.kind === 'conflict') loadAssignmentDetails();
+      showError(error, {
+        fallback: 'Failed to update status',
+        onRetry: error?.kind === 'conflict' ? loadAssignmentDetails : () => updateStatus(newStatus),
+      });
     }
   };
 
-  const formatDateTime = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleString();
+  const formatDateTime = (date) => {
+    if (!date) return 'N/A';
+    return date.toLocaleString();
   };
 
   const getStatusColor = (status) => {
@@ -86,6 +157,16 @@ export default function TaskDetails() {
     return type === 'BRANCH' ? 'Branch' : 'Office';
   };
 
+  const getOutboxLabel = (entry) => {
+    switch (entry.type) {
+      case 'verifyPickup': return 'Pickup verification';
+      case 'verifyDropoff': return 'Delivery completion';
+      case 'status': return `Status change to ${String(entry.payload?.status || '').replace(/_/g, ' ')}`;
+      case 'geofence': return `${entry.payload?.event === 'arrival' ? 'Arrival at' : 'Departure from'} ${entry.payload?.stop} branch`;
+      default: return entry.type;
+    }
+  };
+
   if (loading) {
     return (
       <SafeAreaView style={[styles.container, { paddingTop: insets.top }]}>
@@ -130,20 +211,53 @@ export default function TaskDetails() {
           {/* Lightweight indicator for tracking state */}
           {trackingActive && (
             <Text style={styles.trackingPill}>
-              {isTracking ? '📡 Tracking driver location' : '⏳ Starting location tracking...'}
+              {trackingLabel}
+              {location?.timestamp ? ` · last fix ${new Date(location.timestamp).toLocaleTimeString()}` : ''}
               {locationError ? ` – ${locationError}` : ''}
             </Text>
           )}
-          
+          {(trackingActive || buffer.pending > 0) && (
+            <Text style={styles.bufferText}>
+              {buffer.pending > 0
+                ? `${buffer.pending} location point(s) waiting to upload`
+                : 'All location points uploaded'}
+              {buffer.lastUploadAt ? ` · last upload ${new Date(buffer.lastUploadAt).toLocaleTimeString()}` : ''}
+              {buffer.evicted > 0 ? ` · ${buffer.evicted} oldest dropped (storage full)` : ''}
+            </Text>
+          )}
+          {visits.map((visit) => (
+            <Text key={visit.fenceId} style={styles.bufferText}>
+              {`🏁 ${visit.stop === 'pickup' ? 'Pickup' : 'Dropoff'} branch: arrived ${new Date(visit.arrivedAt).toLocaleTimeString()}`}
+              {visit.departedAt
+                ? ` · left ${new Date(visit.departedAt).toLocaleTimeString()} (${Math.round(visit.dwellSeconds / 60)} min)`
+                : ' · still there'}
+            </Text>
+          ))}
+          {unsyncedActions.map((entry) => (
+            <View key={entry.id} style={[styles.syncPill, entry.state === 'failed' && styles.syncPillFailed]}>
+              <Text style={[styles.syncPillText, entry.state === 'failed' && styles.syncPillTextFailed]}>
+                {entry.state === 'failed'
+                  ? `⚠️ ${getOutboxLabel(entry)} failed to sync${entry.lastError ? ` – ${entry.lastError}` : ''}`
+                  : `🕓 ${getOutboxLabel(entry)} pending sync`}
+              </Text>
+              {entry.state === 'failed' && (
+                <TouchableOpacity onPress={retryFailed}>
+                  <Text style={styles.syncRetryText}>Retry</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+          <TripSummary assignmentId={id} summary={assignment.trip_summary} />
+
           <DetailRow label="Type" value={getAssignmentTypeLabel(assignment.assignment_type)} />
-          <DetailRow label="Status" value={String(assignment?.status || '').replace(/_/g, ' ')} />
+          <DetailRow label="Status" value={effectiveStatus.replace(/_/g, ' ')} />
           <DetailRow label="Assigned By" value={assignment.assigned_by_name} />
           <DetailRow label="Due Date" value={formatDateTime(assignment.due_date)} />
           
-          {assignment.amount && (
+          {assignment.amount !== null && (
             <DetailRow 
               label="Amount" 
-              value={`₱${parseFloat(assignment.amount).toLocaleString()}`} 
+              value={`₱${assignment.amount.toLocaleString()}`} 
             />
           )}
 
@@ -199,14 +313,14 @@ export default function TaskDetails() {
             </View>
           </View>
 
-          {assignment.items && assignment.items.length > 0 && (
+          {assignment.items.length > 0 && (
             <>
               <Text style={styles.sectionTitle}>Items</Text>
               <View style={styles.itemsContainer}>
                 {assignment.items.map((item, index) => (
                   <View key={index} style={styles.itemRow}>
-                    <Text style={styles.itemName}>{item.name || `Item ${index + 1}`}</Text>
-                    <Text style={styles.itemQuantity}>Qty: {item.quantity || 1}</Text>
+                    <Text style={styles.itemName}>{item.name}</Text>
+                    <Text style={styles.itemQuantity}>Qty: {item.quantity}</Text>
                   </View>
                 ))}
               </View>
@@ -223,13 +337,18 @@ export default function TaskDetails() {
           <Text style={styles.sectionTitle}>Timeline</Text>
           <DetailRow label="Created" value={formatDateTime(assignment.created_at)} />
           <DetailRow label="Last Updated" value={formatDateTime(assignment.updated_at)} />
+          {updatedAt && (
+            <Text style={styles.cacheText}>
+              Fetched {formatDateTime(updatedAt)}{showingSaved ? ' (saved copy)' : ''}
+            </Text>
+          )}
         </View>
 
         {/* Actions */}
         <View style={styles.actionSection}>
           <Text style={styles.sectionTitle}>Actions</Text>
           <View style={styles.statusButtons}>
-            {assignment.status === 'ASSIGNED' && (
+            {effectiveStatus === 'ASSIGNED' && canVerifyPickup && (
               <TouchableOpacity 
                 style={[styles.statusButton, styles.inProgressButton]}
                 onPress={() => router.push({ pathname: '/pickup-verification', params: { id } })}
@@ -238,7 +357,7 @@ export default function TaskDetails() {
               </TouchableOpacity>
             )}
 
-            {assignment.status === 'IN_PROGRESS' && (
+            {effectiveStatus === 'IN_PROGRESS' && canCompleteDelivery && (
               <TouchableOpacity 
                 style={[styles.statusButton, styles.completeButton]}
                 onPress={() => router.push({ pathname: '/dropoff-verification', params: { id } })}
@@ -247,9 +366,13 @@ export default function TaskDetails() {
               </TouchableOpacity>
             )}
 
-            {(assignment.status !== 'ASSIGNED' && assignment.status !== 'IN_PROGRESS') && (
+            {!((effectiveStatus === 'ASSIGNED' && canVerifyPickup) || (effectiveStatus === 'IN_PROGRESS' && canCompleteDelivery)) && (
               <View style={{ paddingVertical: 8 }}>
-                <Text style={{ color: '#666', textAlign: 'center' }}>No available actions for current status</Text>
+                <Text style={{ color: '#666', textAlign: 'center' }}>
+                  {effectiveStatus === 'ASSIGNED' || effectiveStatus === 'IN_PROGRESS'
+                    ? 'View only: your role cannot update this delivery'
+                    : 'No available actions for current status'}
+                </Text>
               </View>
             )}
           </View>
@@ -494,6 +617,44 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  bufferText: {
+    color: '#666',
+    fontSize: 11,
+    marginBottom: 8,
+  },
+  cacheText: {
+    color: '#999',
+    fontSize: 11,
+    textAlign: 'right',
+  },
+  syncPill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+    backgroundColor: '#fff7e6',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  syncPillFailed: {
+    backgroundColor: '#fdecea',
+  },
+  syncPillText: {
+    flex: 1,
+    color: '#92400e',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  syncPillTextFailed: {
+    color: '#b91c1c',
+  },
+  syncRetryText: {
+    color: PURPLE,
+    fontSize: 12,
+    fontWeight: '700',
+  },
   directionsBtn: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Image } from 'react-native';
+import Icon from '@expo/vector-icons/MaterialIcons';
+import { PIN_PATTERN } from '../lib/appLock';
+
+// Full-screen overlay drawn by AppLockProvider over whatever screen is open.
+// mode 'locked' asks for the PIN; mode 'setup' has the user choose one and confirm it.
+// Both offer onLogout.
+export default function LockScreen({ mode, onUnlock, onSetPin, onLogout }) {
+  const [pin, setPin] = useState('');
+  const [firstPin, setFirstPin] = useState(null); // setup: waiting for confirmation
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const setup = mode === 'setup';
+  const title = setup
+    ? (firstPin ? 'Confirm your PIN' : 'Choose a PIN')
+    : 'Enter your PIN';
+  const subtitle = setup
+    ? 'This device is shared. Pick a 4–6 digit PIN to unlock the app when it locks.'
+    : 'The app locked to protect delivery details.';
+
+  const submit = async () => {
+    if (!PIN_PATTERN.test(pin)) {
+      setMessage('PIN must be 4 to 6 digits');
+      return;
+    }
+    setBusy(true);
+    try {
+      if (setup) {
+        if (!firstPin) {
+          setFirstPin(pin);
+          setMessage('');
+        } else if (pin !== firstPin) {
+          setFirstPin(null);
+          setMessage('PINs did not match. Start again.');
+        } else {
+          await onSetPin(pin);
+        }
+      } else {
+        const result = await onUnlock(pin);
+        if (!result.ok && result.remaining > 0) {
+          setMessage(`Wrong PIN. ${result.remaining} attempt${result.remaining !== 1 ? 's' : ''} left.`);
+        }
+      }
+    } catch (error) {
+      setMessage(error?.message || 'Something went wrong');
+    } finally {
+      setPin('');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={styles.overlay}>
+      <Image source={require('../assets/mze.png')} style={styles.logo} resizeMode="contain" />
+      <Icon name={setup ? 'lock-open' : 'lock'} size={40} color="#fff" />
+      <Text style={styles.title}>{title}</Text>
+      <Text style={styles.subtitle}>{subtitle}</Text>
+
+      <TextInput
+        style={styles.input}
+        value={pin}
+        onChangeText={(text) => setPin(text.replace(/\D/g, '').slice(0, 6))}
+        keyboardType="number-pad"
+        secureTextEntry
+        maxLength={6}
+        autoFocus
+        onSubmitEditing={submit}
+        placeholder="••••"
+        placeholderTextColor="#bbb"
+      />
+      {!!message && <Text style={styles.message}>{message}</Text>}
+
+      <TouchableOpacity style={styles.button} onPress={submit} disabled={busy}>
+        {busy
+          ? <ActivityIndicator color="#6021F3" />
+          : <Text style={styles.buttonText}>{setup ? (firstPin ? 'Save PIN' : 'Next') : 'Unlock'}</Text>}
+      </TouchableOpacity>
+
+      {/* Setup cannot be skipped, so logging out is the way back for a driver who cannot finish it */}
+      <TouchableOpacity style={styles.link} onPress={onLogout}>
+        <Text style={styles.linkText}>{setup ? 'Not now? Log out' : 'Forgot PIN? Log out'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    zIndex: 100,
+    elevation: 100,
+    backgroundColor: '#6021F3',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  logo: {
+    width: 120,
+    height: 60,
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#e0d6ff',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  input: {
+    width: 180,
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    paddingVertical: 12,
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+    color: '#333',
+  },
+  message: {
+    color: '#FFB84D',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  button: {
+    marginTop: 20,
+    backgroundColor: '#FFB84D',
+    borderRadius: 10,
+    paddingVertical: 12,
+    width: 180,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#6021F3',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  link: {
+    marginTop: 20,
+  },
+  linkText: {
+    color: '#fff',
+    textDecorationLine: 'underline',
+  },
+});
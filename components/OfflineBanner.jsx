@@ -0,0 +1,44 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from '@expo/vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useConnectivity } from '../hooks/useConnectivity';
+import { useOutbox } from '../hooks/useOutbox';
+
+// Bottom banner shown on every screen while the API host is unreachable
+// (circuit breaker open) or the device itself has no connection.
+export default function OfflineBanner() {
+  const insets = useSafeAreaInsets();
+  const { offline } = useConnectivity();
+  const { online, pending } = useOutbox();
+
+  if (!offline && online) return null;
+
+  return (
+    <View style={[styles.banner, { paddingBottom: insets.bottom + 8 }]} pointerEvents="none">
+      <Icon name="cloud-off" size={16} color="#fff" />
+      <Text style={styles.text}>
+        {online ? 'Server unreachable' : 'No connection'} – working offline
+        {pending > 0 ? ` · ${pending} change${pending !== 1 ? 's' : ''} waiting to sync` : ''}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    zIndex: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingTop: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#EA4335',
+  },
+  text: { color: '#fff', fontSize: 12, fontWeight: '600' },
+});
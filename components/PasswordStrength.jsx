@@ -0,0 +1,76 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from '@expo/vector-icons/MaterialIcons';
+import { checkPassword } from '../lib/password';
+
+const STRENGTH = {
+  weak: { label: 'Weak', color: '#EA4335', bars: 1 },
+  fair: { label: 'Good', color: '#FBBC05', bars: 2 },
+  strong: { label: 'Strong', color: '#34A853', bars: 3 },
+};
+
+// Strength meter plus the rules still missing, for new-password fields.
+// Props: password, email?, username? (a password built from them is rejected), onDark? (white text)
+export default function PasswordStrength({ password, email, username, onDark = false }) {
+  if (!password) return null;
+  const { strength, rules, problems } = checkPassword(password, { email, username });
+  const meta = STRENGTH[strength];
+  const textColor = onDark ? '#fff' : '#333';
+  const extraProblems = problems.filter((p) => !rules.some((r) => r.label === p));
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.meterRow}>
+        {[1, 2, 3].map((n) => (
+          <View key={n} style={[styles.bar, { backgroundColor: n <= meta.bars ? meta.color : 'rgba(150,150,150,0.3)' }]} />
+        ))}
+        <Text style={[styles.strengthLabel, { color: meta.color }]}>{meta.label}</Text>
+      </View>
+      {rules.map((rule) => (
+        <View key={rule.id} style={styles.ruleRow}>
+          <Icon name={rule.passed ? 'check-circle' : 'radio-button-unchecked'} size={14} color={rule.passed ? '#34A853' : textColor} />
+          <Text style={[styles.ruleText, { color: textColor }]}>{rule.label}</Text>
+        </View>
+      ))}
+      {extraProblems.map((problem) => (
+        <View key={problem} style={styles.ruleRow}>
+          <Icon name="error-outline" size={14} color="#EA4335" />
+          <Text style={[styles.ruleText, { color: textColor }]}>{problem}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  meterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 6,
+  },
+  bar: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+  },
+  strengthLabel: {
+    marginLeft: 6,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 2,
+  },
+  ruleText: {
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Icon from '@expo/vector-icons/MaterialIcons';
+import { useRouter } from 'expo-router';
+import { usePermission } from '../hooks/usePermission';
+import { homeRouteFor } from '../lib/permissions';
+
+// Renders children only when the user's role grants `permission` (or any of a list).
+// Actions: <PermissionGuard permission={PERMISSIONS.VERIFY_PICKUP}>...</PermissionGuard> hides them.
+// Screens: pass `screen` to show a full-screen "not available" message instead of nothing.
+export default function PermissionGuard({ permission, fallback = null, screen = false, children }) {
+  const allowed = usePermission(permission);
+  const router = useRouter();
+
+  if (allowed) return children;
+  if (!screen) return fallback;
+
+  return (
+    <View style={styles.container}>
+      <Icon name="lock" size={56} color="#6021F3" />
+      <Text style={styles.title}>Not available</Text>
+      <Text style={styles.message}>Your account does not have access to this screen.</Text>
+      <TouchableOpacity style={styles.button} onPress={() => router.replace(homeRouteFor())}>
+        <Text style={styles.buttonText}>Go to Dashboard</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 16,
+  },
+  message: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  button: {
+    marginTop: 24,
+    backgroundColor: '#6021F3',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
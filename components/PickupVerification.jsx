@@ -12,12 +12,14 @@ import Icon from '@expo/vector-icons/MaterialIcons';
 // Signature removed per Option B
 import * as ImagePicker from 'expo-image-picker';
 import * as Location from 'expo-location';
-import { api } from '../lib/api';
+import outbox from '../lib/outbox';
+import { showError } from '../lib/errorPresenter';
 
 export default function PickupVerification({ assignmentId, onVerificationComplete, onCancel }) {
   const [photo, setPhoto] = useState(null);
   const [currentStep, setCurrentStep] = useState('photo'); // 'photo', 'review'
   const [loading, setLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // 0..1 while the photo uploads
 
   const getCurrentLocation = async () => {
     try {
@@ -72,8 +74,8 @@ export default function PickupVerification({ assignmentId, onVerificationComplet
         setLoading(false);
         return;
       }
-      // Prefer multipart flow with Authorization bearer header
-      const response = await api.verifyPickupMultipart(assignmentId, {
+      // Prefer multipart flow with Authorization bearer header; queued in the outbox when offline
+      const { queued, result: response } = await outbox.run('verifyPickup', assignmentId, {
         file: photo && {
           uri: photo.uri,
           type: photo.mimeType || 'image/jpeg',
@@ -81,17 +83,26 @@ export default function PickupVerification({ assignmentId, onVerificationComplet
         },
         location: currentLocation,
         notes: 'Pickup verified with photo',
-      });
-      Alert.alert('Success', 'Pickup verified successfully!');
-      onVerificationComplete && onVerificationComplete(response?.status || 'IN_PROGRESS');
+      }, { onProgress: ({ fraction }) => setUploadProgress(fraction) });
+      if (queued) {
+        Alert.alert('Pending Sync', 'You are offline. The pickup verification was saved and will be sent when the connection returns.');
+      } else {
+        Alert.alert('Success', 'Pickup verified successfully!');
+      }
+      onVerificationComplete && onVerificationComplete(response?.status || 'IN_PROGRESS', { queued });
     } catch (error) {
       console.error('Pickup verification failed:', error);
-      Alert.alert('Error', error?.message || 'Failed to verify pickup');
+      showError(error, { fallback: 'Failed to verify pickup', onRetry: submitVerification });
     } finally {
       setLoading(false);
+      setUploadProgress(null);
     }
   };
 
+  const submitLabel = uploadProgress !== null
+    ? `Uploading photo ${Math.round(uploadProgress * 100)}%`
+    : 'Submitting...';
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -144,8 +155,13 @@ export default function PickupVerification({ assignmentId, onVerificationComplet
               onPress={submitVerification}
               disabled={loading}
             >
-              <Text style={styles.confirmButtonText}>{loading ? 'Submitting...' : 'Confirm'}</Text>
+              <Text style={styles.confirmButtonText}>{loading ? submitLabel : 'Confirm'}</Text>
             </TouchableOpacity>
+            {uploadProgress !== null && (
+              <View style={styles.progressTrack}>
+                <View style={[styles.progressFill, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+              </View>
+            )}
           </View>
         )}
       </ScrollView>
@@ -256,4 +272,6 @@ const styles = StyleSheet.create({
   confirmButton: { backgroundColor: '#6021F3', paddingVertical: 16, borderRadius: 12, alignItems: 'center', marginTop: 24 },
   confirmButtonDisabled: { opacity: 0.6 },
   confirmButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  progressTrack: { height: 6, borderRadius: 3, backgroundColor: '#eee', overflow: 'hidden', marginTop: 12 },
+  progressFill: { height: '100%', backgroundColor: '#6021F3' },
 });
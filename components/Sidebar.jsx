@@ -4,6 +4,8 @@ import { View, TouchableOpacity, Animated, StyleSheet, Image, Text } from 'react
 import Icon from '@expo/vector-icons/MaterialIcons';
 import { useRouter } from 'expo-router';
 import { useAuth } from '../contexts/AuthContext';
+import { usePermissions } from '../hooks/usePermission';
+import { PERMISSIONS } from '../lib/permissions';
 
 // Reusable horizontal top bar with dropdown menu.
 // Props:
@@ -16,7 +18,8 @@ export default function Sidebar({ visible, top = 12, onNavigate, onVisibleChange
   const isOpen = controlled ? visible : open;
   const drop = useRef(new Animated.Value(0)).current; // 0 closed, 1 open
   const router = useRouter();
-  const { logout } = useAuth();
+  const { requestLogout } = useAuth();
+  const { can } = usePermissions();
 
   useEffect(() => {
     Animated.timing(drop, {
@@ -62,7 +65,7 @@ export default function Sidebar({ visible, top = 12, onNavigate, onVisibleChange
 
         <Image source={require('../assets/mze1.png')} style={styles.logo} resizeMode="contain" />
 
-        <TouchableOpacity style={styles.profileBtn} onPress={() => handlePress('/profile')} accessibilityLabel="Profile">
+        <TouchableOpacity style={styles.profileBtn} onPress={() => can(PERMISSIONS.VIEW_PROFILE) && handlePress('/profile')} accessibilityLabel="Profile">
           <Image source={require('../assets/photo.jpg')} style={styles.profileImg} />
         </TouchableOpacity>
       </View>
@@ -73,11 +76,17 @@ export default function Sidebar({ visible, top = 12, onNavigate, onVisibleChange
         pointerEvents={isOpen ? 'auto' : 'none'}
       > 
         {[
-          { icon: 'home', label: 'Home', route: '/dashboard' },
-          { icon: 'assignment', label: 'My Assignments', route: '/deliveryinfo' },
-          { icon: 'assignment-turned-in', label: 'Completed Deliveries', route: '/completed-deliveries' },
-          { icon: 'chat', label: 'Messaging', route: '/messaging' },
-        ].map((it) => (
+          { icon: 'home', label: 'Home', route: '/dashboard', permission: PERMISSIONS.VIEW_DASHBOARD },
+          { icon: 'assignment', label: 'My Assignments', route: '/deliveryinfo', permission: PERMISSIONS.VIEW_MY_ASSIGNMENTS },
+          {
+            icon: 'assignment-turned-in',
+            label: can(PERMISSIONS.VIEW_ALL_DELIVERIES) ? 'All Deliveries' : 'Completed Deliveries',
+            route: '/completed-deliveries',
+            permission: [PERMISSIONS.VIEW_MY_COMPLETED, PERMISSIONS.VIEW_ALL_DELIVERIES],
+          },
+          { icon: 'chat', label: 'Messaging', route: '/messaging', permission: PERMISSIONS.USE_MESSAGING },
+          { icon: 'swap-horiz', label: 'End Shift', route: '/shift-handover', permission: PERMISSIONS.VIEW_MY_ASSIGNMENTS },
+        ].filter((it) => can(it.permission)).map((it) => (
           <TouchableOpacity key={it.label} style={styles.dropItem} onPress={() => handlePress(it.route)}>
             <Icon name={it.icon} size={22} color="#000" />
             <Text style={styles.dropLabel}>{it.label}</Text>
@@ -88,15 +97,15 @@ export default function Sidebar({ visible, top = 12, onNavigate, onVisibleChange
         <TouchableOpacity
           style={styles.dropItem}
           onPress={async () => {
-            try {
-              if (typeof onLogout === 'function') {
-                await onLogout();
-              } else if (logout) {
-                await logout();
-              }
-            } finally {
-              closeMenu();
+            closeMenu();
+            if (typeof onLogout === 'function') {
+              await onLogout();
+              return;
             }
+            // Warns about unsent changes first; drivers can review them on the handover screen
+            requestLogout({
+              onReview: can(PERMISSIONS.VIEW_MY_ASSIGNMENTS) ? () => handlePress('/shift-handover') : undefined,
+            });
           }}
         >
           <Icon name="logout" size={22} color="#000" />
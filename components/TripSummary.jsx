@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from '@expo/vector-icons/MaterialIcons';
+import trips from '../lib/tripRecorder';
+
+const formatDuration = (seconds) => {
+  const minutes = Math.round((seconds || 0) / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Distance, time and stops of an assignment's delivery leg (lib/tripRecorder).
+// Props: assignmentId; summary? (the copy the server got with the dropoff, as lib/models normalizes
+// it; used when this device has none, e.g. for another driver's delivery); compact? (one line, for lists)
+export default function TripSummary({ assignmentId, summary: serverSummary = null, compact = false }) {
+  const [localSummary, setLocalSummary] = useState(null);
+
+  useEffect(() => {
+    if (!assignmentId) return undefined;
+    let cancelled = false;
+    const load = () => trips.getSummary(assignmentId).then((summary) => {
+      if (!cancelled) setLocalSummary(summary);
+    });
+    load();
+    const unsubscribe = trips.subscribe((id) => {
+      if (String(id) === String(assignmentId)) load();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [assignmentId]);
+
+  const summary = localSummary || serverSummary;
+  if (!summary) return null;
+  const distance = `${(summary.distanceM / 1000).toFixed(1)} km`;
+  const stops = `${summary.stops.length} stop${summary.stops.length !== 1 ? 's' : ''}`;
+
+  if (compact) {
+    return (
+      <Text style={styles.compact}>
+        🚚 {distance} · {formatDuration(summary.durationSeconds)} · {stops}
+      </Text>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.titleRow}>
+        <Icon name="timeline" size={18} color="#6021F3" />
+        <Text style={styles.title}>{summary.endedAt ? 'Trip' : 'Trip so far'}</Text>
+      </View>
+      <View style={styles.statsRow}>
+        <Stat label="Distance" value={distance} />
+        <Stat label="Moving" value={formatDuration(summary.movingSeconds)} />
+        <Stat label="Idle" value={formatDuration(summary.idleSeconds)} />
+        <Stat label="Avg speed" value={`${summary.averageSpeedKmh} km/h`} />
+      </View>
+      {summary.stops.map((stop, index) => (
+        <Text key={stop.startedAt || index} style={styles.stop}>
+          ⏸ Stopped {new Date(stop.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          {' '}for {formatDuration(stop.durationSeconds)}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+const Stat = ({ label, value }) => (
+  <View style={styles.stat}>
+    <Text style={styles.statValue}>{value}</Text>
+    <Text style={styles.statLabel}>{label}</Text>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#F9F9F9',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 12,
+  },
+  titleRow: { flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 8 },
+  title: { fontWeight: '600', color: '#000' },
+  statsRow: { flexDirection: 'row', justifyContent: 'space-between' },
+  stat: { alignItems: 'center', flex: 1 },
+  statValue: { fontWeight: '600', color: '#000' },
+  statLabel: { fontSize: 11, color: '#666', marginTop: 2 },
+  stop: { fontSize: 12, color: '#555', marginTop: 6 },
+  compact: { fontSize: 12, color: '#555', marginTop: 6 },
+});
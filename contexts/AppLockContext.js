@@ -0,0 +1,152 @@
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
+import { View, AppState, Alert, StyleSheet } from 'react-native';
+import { useAuth } from './AuthContext';
+import appLock, { DEFAULT_LOCK_SETTINGS } from '../lib/appLock';
+import LockScreen from '../components/LockScreen';
+
+const AppLockContext = createContext();
+
+// How often inactivity is checked
+const CHECK_INTERVAL_MS = 10000;
+
+export const useAppLock = () => {
+  const context = useContext(AppLockContext);
+  if (!context) {
+    throw new Error('useAppLock must be used within an AppLockProvider');
+  }
+  return context;
+};
+
+// Locks the app after inactivity or time in the background. The lock is an overlay: screens,
+// location tracking and the outbox keep running underneath, nothing is unmounted.
+// lockState: 'unlocked' | 'locked' | 'setup' (first login on this device: choose a PIN)
+export const AppLockProvider = ({ children }) => {
+  const { isAuthenticated, sessionState, userId, logout } = useAuth();
+  const [lockState, setLockState] = useState('unlocked');
+  const [settings, setSettings] = useState(DEFAULT_LOCK_SETTINGS);
+  const lastActivity = useRef(Date.now());
+  const backgroundedAt = useRef(null);
+  const previousSessionState = useRef(sessionState);
+
+  useEffect(() => {
+    appLock.getSettings().then(setSettings);
+  }, []);
+
+  // A session restored from storage starts locked; a fresh login starts unlocked.
+  // Either way a user without a PIN on this device has to set one first.
+  useEffect(() => {
+    const previous = previousSessionState.current;
+    previousSessionState.current = sessionState;
+    if (!isAuthenticated || !userId) {
+      setLockState('unlocked');
+      return;
+    }
+    if (previous === 'authenticated') return;
+    (async () => {
+      const hasPin = await appLock.hasPin(userId);
+      if (!hasPin) setLockState('setup');
+      else setLockState(previous === 'restoring' ? 'locked' : 'unlocked');
+      lastActivity.current = Date.now();
+    })();
+  }, [sessionState, userId]);
+
+  const lock = useCallback(() => {
+    if (!isAuthenticated) return;
+    setLockState((current) => (current === 'setup' ? current : 'locked'));
+  }, [isAuthenticated]);
+
+  // Inactivity
+  useEffect(() => {
+    if (!isAuthenticated || lockState !== 'unlocked') return undefined;
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivity.current >= settings.inactivityMs) {
+        console.log('🔐 Locked after inactivity');
+        lock();
+      }
+    }, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isAuthenticated, lockState, settings.inactivityMs, lock]);
+
+  // Backgrounding
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (next) => {
+      if (next === 'background') {
+        backgroundedAt.current = Date.now();
+      } else if (next === 'active' && backgroundedAt.current) {
+        const away = Date.now() - backgroundedAt.current;
+        backgroundedAt.current = null;
+        if (away >= settings.backgroundGraceMs) {
+          console.log('🔐 Locked after returning from background');
+          lock();
+        } else {
+          lastActivity.current = Date.now();
+        }
+      }
+    });
+    return () => subscription.remove();
+  }, [settings.backgroundGraceMs, lock]);
+
+  const markActive = () => {
+    lastActivity.current = Date.now();
+    return false; // never take the touch, only note it
+  };
+
+  const unlock = async (pin) => {
+    const result = await appLock.verifyPin(userId, pin);
+    if (result.ok) {
+      lastActivity.current = Date.now();
+      setLockState('unlocked');
+      return result;
+    }
+    if (result.remaining <= 0) {
+      // Too many wrong PINs: forget the PIN and require a full login (which sets a new one)
+      await appLock.clearPin(userId);
+      setLockState('unlocked');
+      Alert.alert('Too Many Attempts', 'Please log in again with your email and password.');
+      await logout();
+    }
+    return result;
+  };
+
+  const setPin = async (pin) => {
+    await appLock.setPin(userId, pin);
+    lastActivity.current = Date.now();
+    setLockState('unlocked');
+  };
+
+  const updateSettings = async (changes) => {
+    setSettings(await appLock.updateSettings(changes));
+  };
+
+  const value = {
+    lockState,
+    locked: lockState !== 'unlocked',
+    settings,
+    lock,
+    unlock,
+    setPin,
+    updateSettings,
+  };
+
+  return (
+    <AppLockContext.Provider value={value}>
+      <View style={styles.container} onStartShouldSetResponderCapture={markActive}>
+        {children}
+        {isAuthenticated && lockState !== 'unlocked' && (
+          <LockScreen
+            mode={lockState}
+            onUnlock={unlock}
+            onSetPin={setPin}
+            onLogout={() => logout()}
+          />
+        )}
+      </View>
+    </AppLockContext.Provider>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+});
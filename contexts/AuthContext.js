@@ -1,9 +1,18 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import { Alert, AppState } from 'react-native';
 import { useRouter } from 'expo-router';
+import { api, setSessionExpiredHandler, setTokenRefreshedHandler } from '../lib/api';
+import { performLogout } from '../lib/logout';
+import outbox from '../lib/outbox';
 
 const AuthContext = createContext();
 
+// Refresh this long before the access token runs out
+const REFRESH_LEAD_MS = 60000;
+const MIN_REFRESH_DELAY_MS = 5000;
+// After a refresh that failed for lack of signal
+const REFRESH_RETRY_MS = 30000;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -12,77 +21,205 @@ export const useAuth = () => {
   return context;
 };
 
+// session: { accessToken, refreshToken, expiresAt, user } (see api.getSession)
+// sessionState: 'restoring' | 'authenticated' | 'unauthenticated' | 'expired'
 export const AuthProvider = ({ children }) => {
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [session, setSession] = useState(null);
+  const [sessionState, setSessionState] = useState('restoring');
   const router = useRouter();
+  const refreshTimer = useRef(null);
+
+  const user = session?.user || null;
 
   useEffect(() => {
-    checkAuthStatus();
+    restoreSession();
   }, []);
 
-  const checkAuthStatus = async () => {
+  const clearRefreshTimer = () => {
+    if (refreshTimer.current) clearTimeout(refreshTimer.current);
+    refreshTimer.current = null;
+  };
+
+  // lib/api calls this when a 401 could not be fixed by refreshing the access token
+  const handleSessionExpired = () => {
+    clearRefreshTimer();
+    setSession(null);
+    setSessionState('expired');
+    console.log('🔒 Session expired, returning to login');
+    router.replace('/login');
+    Alert.alert('Session Expired', 'Please log in again to continue.');
+  };
+
+  useEffect(() => {
+    setSessionExpiredHandler(handleSessionExpired);
+    // Any refresh (proactive or after a 401) moves the expiry, so re-plan the next one
+    setTokenRefreshedHandler(({ accessToken, expiresAt }) => {
+      setSession((current) => (current ? { ...current, accessToken, expiresAt } : current));
+    });
+    return () => {
+      setSessionExpiredHandler(null);
+      setTokenRefreshedHandler(null);
+    };
+  }, [router]);
+
+  const refreshNow = async () => {
     try {
-      const userData = await AsyncStorage.getItem('userData');
-      if (userData) {
-        const parsedUser = JSON.parse(userData);
-        setUser(parsedUser);
-        console.log('✅ User restored from storage:', parsedUser.Fullname);
+      const next = await api.refreshSession();
+      if (next) setSession(next);
+    } catch (error) {
+      if (error?.isNetworkError) {
+        // Offline: keep the session and try again shortly
+        console.warn('⚠️ Proactive token refresh failed, retrying:', error.message);
+        clearRefreshTimer();
+        refreshTimer.current = setTimeout(refreshNow, REFRESH_RETRY_MS);
+        return;
       }
+      console.warn('🔒 Token refresh rejected:', error?.message || error);
+      await api.clearAuth().catch(() => {});
+      handleSessionExpired();
+    }
+  };
+
+  // Proactive refresh shortly before expiry
+  useEffect(() => {
+    clearRefreshTimer();
+    if (!session?.expiresAt || !session.refreshToken) return undefined;
+    const delay = Math.max(MIN_REFRESH_DELAY_MS, session.expiresAt - Date.now() - REFRESH_LEAD_MS);
+    refreshTimer.current = setTimeout(refreshNow, delay);
+    return clearRefreshTimer;
+  }, [session?.expiresAt, session?.refreshToken]);
+
+  // Timers do not run while the app is suspended; check again when it comes back
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (next) => {
+      if (next !== 'active' || !session?.expiresAt) return;
+      if (session.expiresAt - Date.now() < REFRESH_LEAD_MS) refreshNow();
+    });
+    return () => subscription.remove();
+  }, [session?.expiresAt]);
+
+  const restoreSession = async () => {
+    try {
+      const stored = await api.getSession();
+      if (!stored?.user) {
+        await api.clearAuth();
+        setSessionState('unauthenticated');
+        return;
+      }
+      if (await api.isAuthenticated()) {
+        setSession(stored);
+        setSessionState('authenticated');
+        console.log('✅ Session restored from storage:', stored.user.Fullname);
+        return;
+      }
+      if (stored.refreshToken) {
+        // Access token expired while the app was closed; the refresh token may still be good
+        try {
+          const refreshed = await api.refreshSession();
+          setSession(refreshed);
+          setSessionState('authenticated');
+          console.log('✅ Session restored after refresh:', stored.user.Fullname);
+          return;
+        } catch (error) {
+          if (error?.isNetworkError) {
+            // No signal at startup: let the driver in with the saved session; the next call refreshes
+            setSession(stored);
+            setSessionState('authenticated');
+            console.warn('⚠️ Restored an expired session offline:', error.message);
+            return;
+          }
+          console.warn('🔒 Stored session could not be refreshed:', error?.message || error);
+        }
+      }
+      await api.clearAuth();
+      setSessionState('expired');
     } catch (error) {
-      console.error('Error checking auth status:', error);
-      await AsyncStorage.removeItem('userData');
-    } finally {
-      setLoading(false);
+      console.error('Error restoring session:', error);
+      await api.clearAuth().catch(() => {});
+      setSessionState('unauthenticated');
     }
   };
 
-  const login = async (userData) => {
+  // { user, accessToken, refreshToken } from the /auth/login response
+  const login = async ({ user: userData, accessToken, refreshToken }) => {
     try {
-      // Store user data
-      await AsyncStorage.setItem('userData', JSON.stringify(userData));
-      setUser(userData);
+      const stored = await api.saveSession({ accessToken, refreshToken, user: userData });
+      setSession(stored);
+      setSessionState('authenticated');
       console.log('✅ User logged in:', userData.Fullname);
       return true;
     } catch (error) {
-      console.error('Error saving user data:', error);
+      console.error('Error saving session:', error);
       throw error;
     }
   };
 
-  const logout = async () => {
+  // See lib/logout for what is stopped, revoked and purged. Unsent outbox entries are kept for
+  // this user's next login unless discardOutbox is set (requestLogout asks first).
+  const logout = async ({ discardOutbox = false } = {}) => {
+    clearRefreshTimer();
     try {
-      await AsyncStorage.removeItem('userData');
-      setUser(null);
-      console.log('✅ User logged out');
-      router.replace('/login');
+      await performLogout({ userId: user?.Account_id, discardOutbox });
     } catch (error) {
+      // Never leave the driver stuck logged in because a cleanup step failed
       console.error('Error during logout:', error);
-      throw error;
+      await api.clearAuth().catch(() => {});
     }
+    setSession(null);
+    setSessionState('unauthenticated');
+    console.log('✅ User logged out');
+    router.replace('/login');
+  };
+
+  // Logout from a button: warns first when changes have not reached the server yet.
+  // onReview (optional) offers a way to look at them instead, e.g. the shift handover screen.
+  const requestLogout = ({ onReview } = {}) => {
+    const unsent = outbox.getState().items.length;
+    if (!unsent) return logout();
+    const summary = `${unsent} change${unsent !== 1 ? 's have' : ' has'} not reached the server yet.`;
+    const chooseWhatToKeep = () => Alert.alert(
+      'Log Out',
+      `${summary}\n\nKeep them on this device to sync when you log in again, or discard them? Discarded changes cannot be recovered.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => logout({ discardOutbox: true }) },
+        { text: 'Keep', onPress: () => logout() },
+      ]
+    );
+    if (!onReview) return chooseWhatToKeep();
+    return Alert.alert('Unsent Changes', `${summary} Review them before logging out?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Log Out', style: 'destructive', onPress: chooseWhatToKeep },
+      { text: 'Review', onPress: onReview },
+    ]);
   };
 
   const updateUser = async (updatedData) => {
     try {
       const newUserData = { ...user, ...updatedData };
-      await AsyncStorage.setItem('userData', JSON.stringify(newUserData));
-      setUser(newUserData);
+      const stored = await api.saveSession({ user: newUserData });
+      setSession(stored);
     } catch (error) {
       console.error('Error updating user data:', error);
       throw error;
     }
   };
 
-  // Simple values - no role checks needed
+  // Role checks live in lib/permissions (see hooks/usePermission)
   const value = {
     user,
+    session,
+    sessionState,
+    expiresAt: session?.expiresAt || null,
     login,
     logout,
+    requestLogout,
     updateUser,
-    loading,
-    isAuthenticated: !!user,
+    loading: sessionState === 'restoring',
+    isAuthenticated: sessionState === 'authenticated' && !!user,
     userId: user?.Account_id,
     userName: user?.Fullname || user?.Username,
+    role: user?.Role,
     userEmail: user?.Email
   };
 
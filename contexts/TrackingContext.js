@@ -0,0 +1,89 @@
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import { Alert, AppState } from 'react-native';
+import { useRouter } from 'expo-router';
+import { useAuth } from './AuthContext';
+import { useAppLock } from './AppLockContext';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../lib/permissions';
+import tracking from '../lib/tracking';
+import geofences from '../lib/geofence';
+
+const TrackingContext = createContext();
+
+export const useTracking = () => {
+  const context = useContext(TrackingContext);
+  if (!context) {
+    throw new Error('useTracking must be used within a TrackingProvider');
+  }
+  return context;
+};
+
+// Verification screen for the branch the driver just reached (lib/geofence)
+const ARRIVAL_ACTIONS = {
+  pickup: { title: 'Verify Pickup', pathname: '/pickup-verification' },
+  dropoff: { title: 'Complete Delivery', pathname: '/dropoff-verification' },
+};
+
+// Runs lib/tracking for the logged-in driver for as long as the session lasts, whatever screen
+// is open. Screens only read the state; they never start or stop tracking themselves.
+// Arriving at a branch prompts for its verification; an arrival detected in the background is
+// shown once the app is open and unlocked again.
+export const TrackingProvider = ({ children }) => {
+  const { loading, userId } = useAuth();
+  const { locked } = useAppLock();
+  const router = useRouter();
+  const isDriver = usePermission(PERMISSIONS.VIEW_MY_ASSIGNMENTS);
+  const [state, setState] = useState(tracking.getState());
+
+  useEffect(() => tracking.subscribe(setState), []);
+
+  useEffect(() => {
+    if (loading) return undefined;
+    if (!userId || !isDriver) {
+      tracking.stop();
+      return undefined;
+    }
+    tracking.start(userId);
+    return undefined;
+  }, [loading, userId, isDriver]);
+
+  useEffect(() => {
+    if (!userId || !isDriver || locked) return undefined;
+    const showPendingPrompt = async () => {
+      if (AppState.currentState !== 'active') return;
+      const arrival = await geofences.takePendingPrompt();
+      const action = arrival && ARRIVAL_ACTIONS[arrival.stop];
+      // Verified (or reassigned) in the meantime
+      if (!action || !tracking.getState().assignmentIds.includes(String(arrival.assignmentId))) return;
+      Alert.alert(
+        `Arrived at ${arrival.branchName || (arrival.stop === 'pickup' ? 'the pickup branch' : 'the dropoff branch')}`,
+        `Assignment #${arrival.assignmentId}: ${arrival.stop === 'pickup' ? 'verify the pickup' : 'complete the delivery'} now?`,
+        [
+          { text: 'Later', style: 'cancel' },
+          { text: action.title, onPress: () => router.push({ pathname: action.pathname, params: { id: arrival.assignmentId } }) },
+        ]
+      );
+    };
+    showPendingPrompt();
+    const unsubscribe = geofences.subscribe((event) => {
+      if (event.type === 'arrival') showPendingPrompt();
+    });
+    const subscription = AppState.addEventListener('change', (next) => {
+      if (next === 'active') showPendingPrompt();
+    });
+    return () => {
+      unsubscribe();
+      subscription.remove();
+    };
+  }, [userId, isDriver, locked]);
+
+  const value = {
+    ...state,
+    isTracking: state.status === 'tracking',
+    isTrackingAssignment: (assignmentId) => state.assignmentIds.includes(String(assignmentId)),
+    refresh: tracking.refresh,
+    retry: tracking.retry,
+  };
+
+  return <TrackingContext.Provider value={value}>{children}</TrackingContext.Provider>;
+};
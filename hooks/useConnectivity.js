@@ -0,0 +1,11 @@
+import { useState, useEffect } from 'react';
+import { getConnectivity, subscribeConnectivity } from '../lib/resilience';
+
+// App-wide "server unreachable" state driven by the API circuit breaker
+export const useConnectivity = () => {
+  const [state, setState] = useState(getConnectivity());
+
+  useEffect(() => subscribeConnectivity(setState), []);
+
+  return state;
+};
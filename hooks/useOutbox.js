@@ -0,0 +1,22 @@
+import { useState, useEffect, useMemo } from 'react';
+import outbox from '../lib/outbox';
+
+// Live view of the offline outbox. Pass an assignmentId to also get that assignment's entries.
+export const useOutbox = (assignmentId) => {
+  const [state, setState] = useState(outbox.getState());
+
+  useEffect(() => outbox.subscribe(setState), []);
+
+  const assignmentItems = useMemo(() => {
+    if (assignmentId === undefined || assignmentId === null) return [];
+    return state.items.filter((e) => String(e.assignmentId) === String(assignmentId));
+  }, [state.items, assignmentId]);
+
+  return {
+    ...state,
+    assignmentItems,
+    flush: outbox.flush,
+    retryFailed: outbox.retryFailed,
+    discard: outbox.discard,
+  };
+};
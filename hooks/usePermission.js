@@ -0,0 +1,17 @@
+import { useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { can } from '../lib/permissions';
+
+// true when the logged-in user's role grants the permission (or any of a list)
+export const usePermission = (permission) => {
+  const { user } = useAuth();
+  return can(user?.Role, permission);
+};
+
+// { role, can(permission) } for screens that check several permissions
+export const usePermissions = () => {
+  const { user } = useAuth();
+  const role = user?.Role;
+  const check = useCallback((permission) => can(role, permission), [role]);
+  return { role, can: check };
+};
@@ -0,0 +1,23 @@
+import { useState, useEffect, useRef } from 'react';
+import realtime from '../lib/realtime';
+
+// Call handler for every live assignment event; pass an assignmentId to only hear about that one.
+// The cache has already been updated when the handler runs.
+export const useAssignmentEvents = (handler, assignmentId) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => realtime.subscribe((event) => {
+    if (assignmentId !== undefined && assignmentId !== null && String(event.assignmentId) !== String(assignmentId)) return;
+    handlerRef.current(event);
+  }), [assignmentId]);
+};
+
+// { mode: 'idle' | 'connecting' | 'socket' | 'sse' | 'polling', lastEventAt, lastSyncedAt }
+export const useRealtimeStatus = () => {
+  const [state, setState] = useState(realtime.getState());
+
+  useEffect(() => realtime.subscribeState(setState), []);
+
+  return state;
+};
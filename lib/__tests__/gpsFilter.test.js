@@ -0,0 +1,105 @@
+import { DEFAULT_GPS_FILTER, createGpsFilter, distanceMeters, filterTrace } from '../gpsFilter';
+import drive from './traces/drive-qc-to-pasig.json';
+import parked from './traces/parked-main-office.json';
+import glitches from './traces/glitches-while-parked.json';
+import coldStart from './traces/cold-start-relocation.json';
+
+// Traces are lib/locationBuffer fixes ({ latitude, longitude, accuracy, speed, heading, timestamp })
+// around the seeded branches in lib/fakeBackend:
+//   drive-qc-to-pasig       van leaving QC, with two poor fixes, a multipath glitch, a fix the OS
+//                           delivered twice and one without coordinates
+//   parked-main-office      12 minutes parked at Main Office, 30 s apart
+//   glitches-while-parked   parked, three unrelated far-off fixes, parked again
+//   cold-start-relocation   two stale cached fixes, then the real track 3 km away
+
+const reasons = (rejected) => rejected.map((r) => r.reason);
+const minutesBetween = (a, b) => (new Date(b.timestamp) - new Date(a.timestamp)) / 60000;
+
+describe('filterTrace', () => {
+  it('drops fixes reported less accurate than maxAccuracyM', () => {
+    const { accepted, rejected } = filterTrace(drive);
+    const inaccurate = rejected.filter((r) => r.reason === 'inaccurate');
+    expect(inaccurate.map((r) => r.fix.accuracy)).toEqual([86.4, 64]);
+    expect(accepted.some((fix) => fix.timestamp === inaccurate[0].fix.timestamp)).toBe(false);
+  });
+
+  it('follows maxAccuracyM from the options', () => {
+    const { rejected } = filterTrace(drive, { maxAccuracyM: 100 });
+    expect(reasons(rejected)).not.toContain('inaccurate');
+  });
+
+  it('drops a single glitch and keeps the track going', () => {
+    const { accepted, rejected } = filterTrace(drive);
+    const jumps = rejected.filter((r) => r.reason === 'speed_jump');
+    expect(jumps).toHaveLength(1);
+    expect(jumps[0].fix.timestamp).toBe('2025-10-19T08:03:30.000Z');
+    // Nothing kept is further from the previous kept fix than the van could drive
+    accepted.slice(1).forEach((fix, i) => {
+      const elapsedS = minutesBetween(accepted[i], fix) * 60;
+      expect(distanceMeters(accepted[i], fix) / elapsedS).toBeLessThan(DEFAULT_GPS_FILTER.maxSpeedMps);
+    });
+  });
+
+  it('drops a fix delivered again after newer ones', () => {
+    const { rejected } = filterTrace(drive);
+    const late = rejected.filter((r) => r.reason === 'out_of_order');
+    expect(late).toHaveLength(1);
+    expect(late[0].fix.timestamp).toBe('2025-10-19T08:04:10.000Z');
+  });
+
+  it('drops fixes without coordinates', () => {
+    const { rejected } = filterTrace(drive);
+    expect(rejected.filter((r) => r.reason === 'invalid')).toHaveLength(1);
+  });
+
+  it('keeps the smoothed track close to the raw fixes', () => {
+    const { accepted } = filterTrace(drive);
+    const raw = new Map(drive.map((fix) => [fix.timestamp, fix]));
+    expect(accepted.length).toBeGreaterThan(30);
+    // Once the speed has settled (a few fixes in) the estimate keeps up with the van
+    accepted.slice(3).forEach((fix) => {
+      expect(distanceMeters(fix, raw.get(fix.timestamp))).toBeLessThan(15);
+    });
+  });
+
+  it('sends only a heartbeat while parked', () => {
+    const { accepted, rejected } = filterTrace(parked);
+    expect(new Set(reasons(rejected))).toEqual(new Set(['stationary']));
+    // First fix, then one every stationaryHeartbeatMs (5 min) over 12 minutes
+    expect(accepted).toHaveLength(3);
+    expect(minutesBetween(accepted[0], accepted[1])).toBeGreaterThanOrEqual(5);
+    expect(minutesBetween(accepted[1], accepted[2])).toBeGreaterThanOrEqual(5);
+  });
+
+  it('does not restart the track on unrelated glitches', () => {
+    const { accepted, rejected } = filterTrace(glitches);
+    expect(reasons(rejected).filter((r) => r === 'speed_jump')).toHaveLength(3);
+    accepted.forEach((fix) => {
+      expect(distanceMeters(fix, { latitude: 14.5547, longitude: 121.0244 })).toBeLessThan(20);
+    });
+  });
+
+  it('restarts the track when the jumped fixes agree with each other', () => {
+    const { accepted, rejected } = filterTrace(coldStart);
+    expect(reasons(rejected).filter((r) => r === 'speed_jump')).toHaveLength(2);
+    const last = accepted[accepted.length - 1];
+    expect(distanceMeters(last, coldStart[coldStart.length - 1])).toBeLessThan(15);
+  });
+});
+
+describe('createGpsFilter', () => {
+  it('starts over after reset', () => {
+    const filter = createGpsFilter();
+    expect(filter.process(drive[5]).fix).not.toBeNull();
+    expect(filter.process(drive[0]).reason).toBe('out_of_order');
+    filter.reset();
+    expect(filter.process(drive[0]).fix).not.toBeNull();
+  });
+
+  it('takes maxAccuracyM for one fix from the overrides', () => {
+    const coarse = drive.find((fix) => fix.accuracy === 86.4);
+    expect(createGpsFilter().process(coarse).reason).toBe('inaccurate');
+    expect(createGpsFilter().process(coarse, { maxAccuracyM: 150 }).fix).not.toBeNull();
+    expect(createGpsFilter().process(coarse, { maxAccuracyM: undefined }).reason).toBe('inaccurate');
+  });
+});
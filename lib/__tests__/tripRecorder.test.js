@@ -0,0 +1,40 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import trips from '../tripRecorder';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+// Two fixes about 1.1 km apart, a minute apart: one moving leg
+const fixAt = (minutes, latitude) => ({
+  latitude,
+  longitude: 121.0244,
+  timestamp: new Date(Date.UTC(2025, 9, 19, 8, minutes)).toISOString(),
+});
+
+describe('finishAfter', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem('userData', JSON.stringify({ Account_id: 7 }));
+    await trips.start('102', fixAt(0, 14.55).timestamp);
+    await trips.record([fixAt(1, 14.55), fixAt(2, 14.56)]);
+  });
+
+  it('ends the leg once the dropoff is sent', async () => {
+    const submit = jest.fn(async () => ({ queued: false }));
+    await expect(trips.finishAfter('102', submit)).resolves.toEqual({ queued: false });
+    expect(submit.mock.calls[0][0].distanceM).toBeGreaterThan(1000);
+    expect(submit.mock.calls[0][0].endedAt).not.toBeNull();
+    expect(await trips.getOpenAssignmentIds()).toEqual([]);
+  });
+
+  it('keeps recording when the server refuses the dropoff', async () => {
+    const refused = Object.assign(new Error('HTTP 422: recipient_name is required'), { status: 422 });
+    await expect(trips.finishAfter('102', async () => { throw refused; })).rejects.toBe(refused);
+    expect(await trips.getOpenAssignmentIds()).toEqual(['102']);
+
+    await trips.record(fixAt(3, 14.57));
+    const submit = jest.fn(async () => ({ queued: true }));
+    await trips.finishAfter('102', submit);
+    expect(submit.mock.calls[0][0].distanceM).toBeGreaterThan(2000);
+    expect(await trips.getOpenAssignmentIds()).toEqual([]);
+  });
+});
@@ -1,6 +1,27 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 import Constants from 'expo-constants';
+import { buildVerificationForm, normalizeUploadResult } from './upload';
+import { getTransport, setTransport } from './transport';
+import {
+  normalizeAssignment,
+  normalizeAssignmentList,
+  normalizeCompletedDeliveryList,
+  normalizeProfile,
+  unwrap,
+} from './models';
+import { swr, invalidateCache } from './cache';
+import { resolveRetryPolicy, recordSuccess } from './resilience';
+import {
+  createPipeline,
+  createTimingMiddleware,
+  loggingMiddleware,
+  circuitBreakerMiddleware,
+  httpErrorMiddleware,
+  retryMiddleware,
+  createErrorMappingMiddleware,
+} from './middleware';
+import { UnauthorizedError } from './errors';
 
 // Mutable base URL so we can update after runtime detection
 // Initial fallback; prefer env-provided full base (EXPO_PUBLIC_API_BASE) or host (EXPO_PUBLIC_API_HOST)
@@ -9,148 +30,347 @@ import Constants from 'expo-constants';
 let API_BASE_URL = 'http://16.176.194.83/api'; // primary (expects reverse proxy / opened port 80)
 // We will auto-fallback to :5000 if direct host:80 fails.
 
-
-// Probe candidate hosts for /api/health until one responds
-export const detectApiBaseUrl = async () => {
-  // If a full base URL is provided (includes protocol & /api), trust it immediately.
-  const envBase = typeof process !== 'undefined' ? (process.env?.EXPO_PUBLIC_API_BASE) : undefined;
-  if (envBase && /^https?:\/\//.test(envBase)) {
-    API_BASE_URL = envBase.replace(/\/$/, '');
-    console.log(`✅ Using explicit API base: ${API_BASE_URL}`);
-    return API_BASE_URL;
-  }
-  // Allow ENV host override (without protocol) eg: EXPO_PUBLIC_API_HOST=api.example.com
-  const envHost = typeof process !== 'undefined' ? (process.env?.EXPO_PUBLIC_API_HOST || process.env?.API_HOST) : undefined;
+// Expo inlines EXPO_PUBLIC_* only for static process.env.NAME accesses, so list them explicitly
+const ENV = typeof process !== 'undefined' ? {
+  EXPO_PUBLIC_API_BASE: process.env?.EXPO_PUBLIC_API_BASE,
+  EXPO_PUBLIC_API_HOST: process.env?.EXPO_PUBLIC_API_HOST,
+  API_HOST: process.env?.API_HOST,
+  EXPO_PUBLIC_API_TRANSPORT: process.env?.EXPO_PUBLIC_API_TRANSPORT,
+  EXPO_PUBLIC_API_PROFILE: process.env?.EXPO_PUBLIC_API_PROFILE,
+  EXPO_PUBLIC_STAGING_API_BASE: process.env?.EXPO_PUBLIC_STAGING_API_BASE,
+  EXPO_PUBLIC_STAGING_API_HOST: process.env?.EXPO_PUBLIC_STAGING_API_HOST,
+} : {};
+const readEnv = (name) => ENV[name];
+const extra = Constants?.expoConfig?.extra || {};
+
+// Transport selection: EXPO_PUBLIC_API_TRANSPORT=fake (or extra.API_TRANSPORT) swaps the network
+// for the in-memory backend in lib/fakeBackend.js; anything else uses real HTTP.
+// Development builds only: the fake is required inside the __DEV__ branch, which release bundles
+// strip, so its seeded logins never ship.
+if (__DEV__ && (readEnv('EXPO_PUBLIC_API_TRANSPORT') || extra.API_TRANSPORT) === 'fake') {
+  const { createFakeBackend } = require('./fakeBackend');
+  setTransport(createFakeBackend());
+}
+
+// Named environment profiles. Each lists the hosts worth probing (or an explicit base URL,
+// which is trusted without probing). The active profile is persisted so the login debug panel
+// can switch between them.
+const PROFILE_KEY = 'apiProfile';
+const PROBE_TIMEOUT_MS = 3500; // allow slower mobile networks
+
+const getPackagerHost = () => {
   // Try to derive the developer machine (Metro) host from Expo constants
-  let packagerHost = null;
   try {
     const hostUri = Constants?.expoConfig?.hostUri
       || Constants?.manifest2?.extra?.expoGo?.debuggerHost
       || Constants?.manifest?.debuggerHost;
-    if (hostUri && typeof hostUri === 'string') {
-      packagerHost = hostUri.split(':')[0];
-    }
+    if (hostUri && typeof hostUri === 'string') return hostUri.split(':')[0];
   } catch {}
+  return null;
+};
 
-  const emulatorHost = Platform.OS === 'android' ? '10.0.2.2' : 'localhost';
-  const storedHost = await AsyncStorage.getItem('lastApiHost').catch(() => null);
-
-  const candidates = [
-    envHost,
-    storedHost,
-    packagerHost,
-    '16.176.194.83', // current network (adjustable)
-    '16.176.194.83', // previous/home network
-    emulatorHost,
-    'localhost'
-  ].filter(Boolean);
-
-  const tryHost = async (host) => {
-    const variants = [
-      { base: `http://${host}/api`, health: `http://${host}/api/health` },
-      { base: `http://${host}:5000/api`, health: `http://${host}:5000/api/health` },
-      // Prefer https variants if certificate is present (will just fail fast if not)
-      { base: `https://${host}/api`, health: `https://${host}/api/health` },
-      { base: `https://${host}:5000/api`, health: `https://${host}:5000/api/health` },
-    ];
-    for (const v of variants) {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3500); // allow slower mobile networks
-      try {
-        console.log(`🔎 Probing ${v.health}`);
-        const res = await fetch(v.health, { signal: controller.signal });
-        if (res.ok) {
-          API_BASE_URL = v.base.replace(/\/$/, '');
-          await AsyncStorage.setItem('lastApiHost', host).catch(() => {});
-          console.log(`✅ API host detected: ${API_BASE_URL}`);
-          return true;
-        } else {
-          console.log(`⚠️ Health endpoint not OK (${res.status}) for ${v.health}`);
+export const API_PROFILES = {
+  production: {
+    label: 'Production',
+    base: () => readEnv('EXPO_PUBLIC_API_BASE'),
+    hosts: () => ['16.176.194.83'],
+  },
+  staging: {
+    label: 'Staging',
+    base: () => readEnv('EXPO_PUBLIC_STAGING_API_BASE') || extra.STAGING_API_BASE,
+    hosts: () => [readEnv('EXPO_PUBLIC_STAGING_API_HOST') || extra.STAGING_API_HOST],
+  },
+  local: {
+    label: 'Local',
+    base: () => null,
+    hosts: () => [getPackagerHost(), Platform.OS === 'android' ? '10.0.2.2' : 'localhost', 'localhost'],
+  },
+};
+
+const DEFAULT_PROFILE = API_PROFILES[readEnv('EXPO_PUBLIC_API_PROFILE') || extra.API_PROFILE]
+  ? (readEnv('EXPO_PUBLIC_API_PROFILE') || extra.API_PROFILE)
+  : 'production';
+
+let activeProfile = null; // resolved lazily from storage
+let lastProbeResults = []; // [{ host, url, base, ok, status, error, ms }] for diagnostics
+
+const lastHostKey = (profile) => `lastApiHost:${profile}`;
+
+export const getApiProfile = async () => {
+  if (!activeProfile) {
+    const stored = await AsyncStorage.getItem(PROFILE_KEY).catch(() => null);
+    activeProfile = API_PROFILES[stored] ? stored : DEFAULT_PROFILE;
+  }
+  return activeProfile;
+};
+
+// Switch profile, persist it and re-run detection against its hosts
+export const setApiProfile = async (name) => {
+  if (!API_PROFILES[name]) throw new Error(`Unknown API profile: ${name}`);
+  activeProfile = name;
+  await AsyncStorage.setItem(PROFILE_KEY, name).catch(() => {});
+  console.log(`🌐 API profile: ${API_PROFILES[name].label}`);
+  return detectApiBaseUrl();
+};
+
+const probe = async ({ host, base, health }, signal) => {
+  const started = Date.now();
+  const result = { host, base, url: health };
+  try {
+    const res = await getTransport().request(health, { signal });
+    return { ...result, ok: res.ok, status: res.status, ms: Date.now() - started };
+  } catch (e) {
+    const error = e?.name === 'AbortError' ? 'timed out / cancelled' : (e?.message || String(e));
+    return { ...result, ok: false, error, ms: Date.now() - started };
+  }
+};
+
+// Probe every candidate /api/health at once; the first healthy one wins and the rest are cancelled
+export const detectApiBaseUrl = async () => {
+  // Nothing to probe when requests never leave the device
+  if (getTransport().name !== 'http') {
+    console.log(`✅ Using ${getTransport().name} transport; skipping host detection`);
+    return API_BASE_URL;
+  }
+  const profileName = await getApiProfile();
+  const profile = API_PROFILES[profileName];
+
+  // If a full base URL is provided (includes protocol & /api), trust it immediately.
+  const explicitBase = profile.base();
+  if (explicitBase && /^https?:\/\//.test(explicitBase)) {
+    API_BASE_URL = explicitBase.replace(/\/$/, '');
+    lastProbeResults = [];
+    console.log(`✅ Using explicit API base for ${profile.label}: ${API_BASE_URL}`);
+    return API_BASE_URL;
+  }
+  // Allow ENV host override (without protocol) eg: EXPO_PUBLIC_API_HOST=api.example.com
+  const envHost = profileName === 'production' ? (readEnv('EXPO_PUBLIC_API_HOST') || readEnv('API_HOST')) : undefined;
+  const storedHost = await AsyncStorage.getItem(lastHostKey(profileName)).catch(() => null);
+
+  const hosts = [...new Set([envHost, storedHost, ...profile.hosts()].filter(Boolean))];
+  if (!hosts.length) {
+    lastProbeResults = [];
+    console.warn(`⚠️ No hosts configured for ${profile.label}. Using fallback:`, API_BASE_URL);
+    return API_BASE_URL;
+  }
+
+  // A host that names its port (a manual override such as 10.0.2.2:8080) is probed on that port only
+  const candidates = hosts.flatMap((host) => (/:\d+$/.test(host)
+    ? [
+      { host, base: `http://${host}/api` },
+      { host, base: `https://${host}/api` },
+    ]
+    : [
+      { host, base: `http://${host}/api` },
+      { host, base: `http://${host}:5000/api` },
+      // https variants in case a certificate is present (fail fast if not)
+      { host, base: `https://${host}/api` },
+      { host, base: `https://${host}:5000/api` },
+    ])).map((c) => ({ ...c, health: `${c.base}/health` }));
+
+  console.log(`🔎 Probing ${candidates.length} candidates for ${profile.label}`);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  lastProbeResults = candidates.map((c) => ({ host: c.host, base: c.base, url: c.health, pending: true }));
+
+  const winner = await new Promise((resolve) => {
+    let remaining = candidates.length;
+    candidates.forEach((candidate, index) => {
+      probe(candidate, controller.signal).then((result) => {
+        lastProbeResults[index] = result;
+        if (result.ok) {
+          resolve(result);
+          controller.abort(); // cancel the losers
+        } else if (--remaining === 0) {
+          resolve(null);
         }
-      } catch (e) {
-        console.log(`❌ Probe failed for ${v.health}: ${e?.message || e}`);
-      } finally {
-        clearTimeout(timeoutId);
-      }
-    }
-    return false;
-  };
+      });
+    });
+  });
+  clearTimeout(timeoutId);
 
-  for (const host of candidates) {
-    const ok = await tryHost(host);
-    if (ok) return API_BASE_URL;
+  if (winner) {
+    API_BASE_URL = winner.base;
+    await AsyncStorage.setItem(lastHostKey(profileName), winner.host).catch(() => {});
+    console.log(`✅ API host detected: ${API_BASE_URL} (${winner.ms}ms)`);
+    return API_BASE_URL;
   }
   console.warn('⚠️ API host detection failed. Using fallback:', API_BASE_URL);
   return API_BASE_URL;
 };
 
-// Helper to get auth headers with user ID (for header-based endpoints)
-const getAuthHeaders = async () => {
+// Keys for cached (stale-while-revalidate) reads; see lib/cache
+export const CACHE_KEYS = {
+  myAssignments: 'my-assignments',
+  assignment: (id) => `assignment:${id}`,
+};
+
+// After a mutation on an assignment, its detail and the lists it appears in are out of date
+const invalidateAssignment = (assignmentId) =>
+  invalidateCache(CACHE_KEYS.assignment(assignmentId), CACHE_KEYS.myAssignments);
+
+// GPS fix -> /delivery-locations body. client_id is the fix's id in lib/locationBuffer, so a point
+// sent twice (the first response was lost) is stored once.
+const toLocationBody = (assignmentId, payload) => ({
+  assignment_id: Number(assignmentId),
+  client_id: payload?.id,
+  latitude: payload?.latitude,
+  longitude: payload?.longitude,
+  accuracy: payload?.accuracy,
+  // Prefer recorded_at to match existing DB schema; backend will fallback if needed
+  recorded_at: payload?.timestamp || new Date().toISOString(),
+  // Which lib/trackingPolicy mode the fix was recorded in (sampling rate and accuracy)
+  tracking_mode: payload?.mode || null,
+});
+
+// Outbox entries replayed under another driver's session (adopted at shift handover) name the
+// account that recorded them; the server attributes the action to that account, not the caller,
+// when that account's handover (handOverAssignments) named the assignment, and refuses it with 403
+// otherwise
+const recordedByHeader = (recordedBy) => (recordedBy ? { 'X-Recorded-By': String(recordedBy) } : {});
+
+// Session expiry hook: AuthContext registers a handler so a failed refresh tears down the session
+let sessionExpiredHandler = null;
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = typeof handler === 'function' ? handler : null;
+};
+
+const SESSION_EXPIRED_MESSAGE = 'Your session has expired. Please log in again.';
+
+const endSession = async () => {
+  await api.clearAuth().catch(() => {});
+  if (sessionExpiredHandler) {
+    try { await sessionExpiredHandler(); } catch (e) { console.warn('Session expired handler failed:', e?.message || e); }
+  }
+};
+
+// AuthContext registers this to learn the new expiry whenever the access token is replaced
+let tokenRefreshedHandler = null;
+export const setTokenRefreshedHandler = (handler) => {
+  tokenRefreshedHandler = typeof handler === 'function' ? handler : null;
+};
+
+// Everything the client persists for a logged-in session
+const SESSION_KEYS = ['accessToken', 'refreshToken', 'userData'];
+
+// JWT payloads are base64url; returns null for anything that is not a readable JWT
+const decodeToken = (token) => {
   try {
-    const userData = await AsyncStorage.getItem('userData');
-    if (userData) {
-      const user = JSON.parse(userData);
-      return {
-        'Content-Type': 'application/json',
-        ...(user?.Account_id ? { 'X-User-Id': String(user.Account_id) } : {}),
-      };
-    }
-  } catch (error) {
-    console.error('Error getting auth headers:', error);
+    const part = String(token).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = part + '='.repeat((4 - (part.length % 4)) % 4);
+    return JSON.parse(
+      typeof atob !== 'undefined'
+        ? atob(padded)
+        : Buffer.from(padded, 'base64').toString('utf8')
+    );
+  } catch {
+    return null;
   }
-  return { 'Content-Type': 'application/json' };
 };
 
-const api = {
-  async request(endpoint, options = {}) {
-    console.log(`🔄 API Call: ${API_BASE_URL}${endpoint}`);
-    let token;
+// Expiry of an access token in ms since epoch, or null if the token carries none
+export const getTokenExpiry = (token) => {
+  const exp = decodeToken(token)?.exp;
+  return Number.isFinite(exp) ? exp * 1000 : null;
+};
+
+// Single-flight refresh: concurrent 401s all wait on the same /refresh-token call
+let refreshInFlight = null;
+const refreshAccessToken = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = api.refreshToken().finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+};
+
+// Attaches the stored bearer token and X-User-Id (for header-based endpoints). On a 401 for a
+// request that carried a token, refresh once and replay; if the refresh (or the replay) is
+// rejected the session is ended. Calls made with auth: false are sent as-is.
+const authMiddleware = {
+  name: 'auth',
+  beforeRequest: async (ctx) => {
+    if (ctx.auth === false) return;
+    let token = null;
+    let user = null;
     try {
-      token = await AsyncStorage.getItem('accessToken');
+      const [[, storedToken], [, userData]] = await AsyncStorage.multiGet(['accessToken', 'userData']);
+      token = storedToken;
+      user = userData ? JSON.parse(userData) : null;
     } catch (error) {
       console.warn('Storage error:', error);
     }
-
-    const config = {
-      method: options.method || 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        ...(token ? { Authorization: `Bearer ${token}` } : {}),
-        ...(options.headers || {}),
-      },
-      ...(options.body
-        ? { body: typeof options.body === 'string' ? options.body : JSON.stringify(options.body) }
-        : {}),
+    ctx.meta.hadToken = !!token;
+    ctx.headers = {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(user?.Account_id ? { 'X-User-Id': String(user.Account_id) } : {}),
+      ...ctx.headers,
     };
+  },
+  afterResponse: async (ctx, response) => {
+    if (response.status !== 401 || ctx.auth === false || !ctx.meta.hadToken || ctx.skipAuthRefresh) return null;
+    if (ctx.meta.authReplayed) {
+      await endSession();
+      throw new UnauthorizedError(SESSION_EXPIRED_MESSAGE, { status: 401, sessionExpired: true });
+    }
+    console.log('🔑 Access token rejected, refreshing...');
+    try {
+      await refreshAccessToken();
+    } catch (e) {
+      console.warn('🔒 Token refresh failed:', e?.message || e);
+      await endSession();
+      throw new UnauthorizedError(SESSION_EXPIRED_MESSAGE, { status: 401, sessionExpired: true });
+    }
+    ctx.meta.authReplayed = true;
+    return ctx.replay();
+  },
+};
 
-    // 10s timeout via AbortController
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
+// Every api call runs through this chain; api.use() appends to it
+const REQUEST_TIMEOUT_MS = 10000;
+const UPLOAD_RETRIES = 2;
+const pipeline = createPipeline();
+const timingMiddleware = createTimingMiddleware();
+pipeline.use(timingMiddleware);
+pipeline.use(loggingMiddleware);
+pipeline.use(circuitBreakerMiddleware);
+pipeline.use(authMiddleware);
+pipeline.use(httpErrorMiddleware);
+pipeline.use(retryMiddleware);
+pipeline.use(createErrorMappingMiddleware({ baseUrl: () => API_BASE_URL }));
 
+const api = {
+  // Register a middleware ({ beforeRequest, afterResponse, onError }, see lib/middleware)
+  // for every JSON and multipart call. Returns a function that removes it again.
+  use(middleware) {
+    return pipeline.use(middleware);
+  },
+
+  // options: { method, headers, body, retry, idempotent, auth, skipAuthRefresh }
+  async request(endpoint, options = {}) {
+    const method = options.method || 'GET';
+    // 10s timeout via AbortController (covers refresh + replay and every retry as well)
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
     try {
-      const response = await fetch(`${API_BASE_URL}${endpoint}`, { ...config, signal: controller.signal });
-      const text = await response.text();
-      let data = null;
-      try { data = text ? JSON.parse(text) : null; } catch {}
-      if (!response.ok) {
-        const message = text ? `HTTP ${response.status}: ${text}` : `Request failed (${response.status})`;
-        throw new Error(message);
-      }
-      return data;
-    } catch (error) {
-      console.error('❌ API Request Failed:', { url: `${API_BASE_URL}${endpoint}`, error: error?.message || String(error) });
-      if (error.name === 'AbortError') {
-        throw new Error(`Request timed out (10s) contacting ${API_BASE_URL}.`);
-      }
-      if ((error.message || '').includes('Network request failed')) {
-        throw new Error(
-          `Cannot connect to server at ${API_BASE_URL}. Please check:\n` +
-          '1. Backend server is running\n' +
-          '2. Correct IP address\n' +
-          '3. Both devices on same network'
-        );
-      }
-      throw error;
+      const response = await pipeline.execute({
+        url: `${API_BASE_URL}${endpoint}`,
+        endpoint,
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(options.headers || {}),
+        },
+        body: options.body
+          ? (typeof options.body === 'string' ? options.body : JSON.stringify(options.body))
+          : undefined,
+        signal: controller.signal,
+        timeoutMs: REQUEST_TIMEOUT_MS,
+        deadline: Date.now() + REQUEST_TIMEOUT_MS,
+        retryPolicy: resolveRetryPolicy(method, options),
+        auth: options.auth,
+        skipAuthRefresh: options.skipAuthRefresh,
+      });
+      return response.data;
     } finally {
       clearTimeout(timeoutId);
     }
@@ -159,55 +379,131 @@ const api = {
   async refreshToken() {
     const refreshToken = await AsyncStorage.getItem('refreshToken');
     if (!refreshToken) throw new Error('No refresh token');
-    const res = await fetch(`${API_BASE_URL}/refresh-token`, {
+    const data = await this.request('/refresh-token', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ refreshToken }),
+      body: { refreshToken },
+      auth: false,
+      retry: false,
+    }).catch((error) => {
+      throw error.status ? new UnauthorizedError('Failed to refresh token', { status: error.status }) : error;
     });
-    if (!res.ok) throw new Error('Failed to refresh token');
-    const { accessToken } = await res.json();
+    const accessToken = data?.accessToken || data?.token;
+    if (!accessToken) throw new Error('Refresh response did not include an access token');
+    await AsyncStorage.setItem('accessToken', accessToken);
+    // Servers that rotate refresh tokens send a new one alongside
+    if (data?.refreshToken) await AsyncStorage.setItem('refreshToken', data.refreshToken);
+    console.log('✅ Access token refreshed');
+    if (tokenRefreshedHandler) {
+      try { tokenRefreshedHandler({ accessToken, expiresAt: getTokenExpiry(accessToken) }); } catch {}
+    }
     return accessToken;
   },
 
   async clearAuth() {
-    await AsyncStorage.multiRemove(['accessToken', 'refreshToken', 'userData']);
+    await AsyncStorage.multiRemove(SESSION_KEYS);
+  },
+
+  // Persist what /auth/login returned; only keys that are present are written
+  async saveSession({ accessToken, refreshToken, user }) {
+    const pairs = [
+      accessToken ? ['accessToken', accessToken] : null,
+      refreshToken ? ['refreshToken', refreshToken] : null,
+      user ? ['userData', JSON.stringify(user)] : null,
+    ].filter(Boolean);
+    if (pairs.length) await AsyncStorage.multiSet(pairs);
+    return this.getSession();
+  },
+
+  // { accessToken, refreshToken, expiresAt, user } from storage, or null when nothing is stored
+  async getSession() {
+    const [[, accessToken], [, refreshToken], [, userData]] = await AsyncStorage.multiGet(SESSION_KEYS);
+    if (!accessToken && !refreshToken && !userData) return null;
+    let user = null;
+    try { user = userData ? JSON.parse(userData) : null; } catch {}
+    return { accessToken, refreshToken, expiresAt: accessToken ? getTokenExpiry(accessToken) : null, user };
+  },
+
+  // Refresh now (shared with the 401 path, so only one /refresh-token call is ever in flight)
+  async refreshSession() {
+    await refreshAccessToken();
+    return this.getSession();
   },
 
   async login(email, password) {
     // Simpler login hitting /auth/login and returning response as-is
-    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+    // Failures arrive typed (lib/errors); the server's wording is on error.serverMessage
+    return this.request('/auth/login', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password }),
+      body: { email, password },
+      auth: false,
+      retry: false,
     });
-    if (!response.ok) {
-      let errorData = {};
-      try { errorData = await response.json(); } catch {}
-      throw new Error(errorData.message || errorData.error || 'Login failed');
-    }
-    const data = await response.json();
-    return data;
   },
 
+  // Revoke the session server-side (access token in the header, refresh token in the body), then
+  // forget it locally. Offline or rejected revocations still clear the tokens on the device.
   async logout() {
-    try { await this.request('/logout', { method: 'POST' }); } catch {}
+    const refreshToken = await AsyncStorage.getItem('refreshToken').catch(() => null);
+    try {
+      await this.request('/logout', {
+        method: 'POST',
+        body: refreshToken ? { refreshToken } : undefined,
+        skipAuthRefresh: true,
+        retry: false,
+      });
+    } catch (error) {
+      console.warn('⚠️ Server logout failed, clearing the session locally:', error?.message || error);
+    }
     await this.clearAuth();
   },
 
+  // Forgot password: 1) email a reset code, 2) trade the code for a reset token, 3) set the password.
+  // None of these need a session. The server answers step 1 the same way whether or not the
+  // account exists.
+  async requestPasswordReset(email) {
+    return this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: { email: String(email).trim().toLowerCase() },
+      auth: false,
+      retry: false,
+    });
+  },
+
+  // Resolves { resetToken }; a wrong or expired code is a ValidationError (INVALID_RESET_CODE / RESET_CODE_EXPIRED)
+  async verifyResetCode(email, code) {
+    return this.request('/auth/verify-reset-code', {
+      method: 'POST',
+      body: { email: String(email).trim().toLowerCase(), code: String(code).trim() },
+      auth: false,
+      retry: false,
+    });
+  },
+
+  async resetPassword(resetToken, newPassword) {
+    return this.request('/auth/reset-password', {
+      method: 'POST',
+      body: { resetToken, newPassword },
+      auth: false,
+      retry: false,
+    });
+  },
+
+  // Logged-in change; a wrong current password is a ValidationError (INVALID_CURRENT_PASSWORD), not a
+  // 401, so it never looks like an expired session
+  async changePassword(currentPassword, newPassword) {
+    return this.request('/auth/change-password', {
+      method: 'POST',
+      body: { currentPassword, newPassword },
+      retry: false,
+    });
+  },
+
   async isAuthenticated() {
     const token = await AsyncStorage.getItem('accessToken');
     const userData = await AsyncStorage.getItem('userData');
     if (!token || !userData) return false;
-    try {
-      const payload = JSON.parse(
-        typeof atob !== 'undefined'
-          ? atob(token.split('.')[1])
-          : Buffer.from(token.split('.')[1], 'base64').toString('utf8')
-      );
-      return payload.exp * 1000 > Date.now();
-    } catch {
-      return false;
-    }
+    const expiresAt = getTokenExpiry(token);
+    return expiresAt !== null && expiresAt > Date.now();
   },
 
   async getCurrentUser() {
@@ -218,191 +514,166 @@ const api = {
   // Example data methods used by screens
   async getDashboardData() { return this.request('/dashboard'); },
   async getDeliveryDetails(id) { return this.request(`/deliveries/${id}`); },
-  async getUserProfile() { return this.request('/profile'); },
+  async getUserProfile() { return normalizeProfile(await this.request('/profile')); },
   
-  // Delivery assignments APIs
+  // Delivery assignments APIs (responses normalized by lib/models)
   async getDeliveryAssignments() {
-    return this.request('/delivery-assignments');
+    return normalizeAssignmentList(await this.request('/delivery-assignments'));
   },
 
   async getDeliveryAssignment(id) {
-    const res = await this.request(`/delivery-assignments/${id}`);
     // Backend wraps single assignment as { success:true, data: {...} }
-    if (res && typeof res === 'object') {
-      if ('data' in res && res.success) return res.data;
-    }
-    return res;
+    return normalizeAssignment(unwrap(await this.request(`/delivery-assignments/${id}`)));
   },
 
-  async updateDeliveryStatus(assignmentId, status, notes = '') {
-    return this.request(`/delivery-assignments/${assignmentId}/status`, {
+  async updateDeliveryStatus(assignmentId, status, notes = '', { recordedBy } = {}) {
+    const res = await this.request(`/delivery-assignments/${assignmentId}/status`, {
       method: 'PUT',
+      headers: recordedByHeader(recordedBy),
       body: { status, notes },
+      // Setting the same status twice is harmless
+      idempotent: true,
+    });
+    await invalidateAssignment(assignmentId);
+    return res;
+  },
+
+  // Shift handover: ask dispatch to reassign assignments the outgoing driver could not finish.
+  // The server also keeps it as the record that lets the next driver send this driver's queued
+  // entries for these assignments (X-Recorded-By)
+  async handOverAssignments(assignmentIds, note = '') {
+    const res = await this.request('/delivery-assignments/handover', {
+      method: 'POST',
+      body: { assignment_ids: assignmentIds.map(Number), note },
+      // Asking twice for the same handover changes nothing
+      idempotent: true,
     });
+    await invalidateCache(...assignmentIds.map((id) => CACHE_KEYS.assignment(id)), CACHE_KEYS.myAssignments);
+    return res;
   },
 
   // Update driver current GPS location for an assignment (use schema-flexible endpoint)
-  async updateDeliveryLocation(assignmentId, payload) {
-    // payload: { latitude, longitude, accuracy?, heading?, speed?, timestamp? }
-    const body = {
-      assignment_id: Number(assignmentId),
-      latitude: payload?.latitude,
-      longitude: payload?.longitude,
-      accuracy: payload?.accuracy,
-      // Prefer recorded_at to match existing DB schema; backend will fallback if needed
-      recorded_at: payload?.timestamp || new Date().toISOString(),
-    };
+  async updateDeliveryLocation(assignmentId, payload, { recordedBy } = {}) {
+    // payload: { id?, latitude, longitude, accuracy?, heading?, speed?, timestamp?, mode? }
     return this.request(`/delivery-locations`, {
       method: 'POST',
-      body,
+      headers: recordedByHeader(recordedBy),
+      body: toLocationBody(assignmentId, payload),
+      // The server ignores a client_id it already has
+      idempotent: !!payload?.id,
     });
   },
 
-  async verifyPickup(assignmentId, itemImage) {
-    const headers = await getAuthHeaders();
-    const formData = new FormData();
-    if (itemImage) {
-      formData.append('itemImage', {
-        uri: itemImage.uri,
-        type: 'image/jpeg',
-        name: 'pickup.jpg',
-      });
-    }
-    delete headers['Content-Type'];
-    const response = await fetch(`${API_BASE_URL}/delivery-assignments/${assignmentId}/verify-pickup`, {
+  // Several buffered fixes (lib/locationBuffer) in one request, each with its own assignmentId.
+  // Resolves { accepted, duplicates, rejected: [{ client_id, error }] }. Servers without the batch
+  // endpoint answer 404/405; callers fall back to updateDeliveryLocation.
+  async uploadDeliveryLocations(fixes) {
+    return this.request('/delivery-locations/batch', {
       method: 'POST',
-      headers,
-      body: formData,
+      body: { locations: fixes.map((fix) => toLocationBody(fix.assignmentId, fix)) },
+      idempotent: true,
     });
-    const data = await response.json().catch(() => ({}));
-    if (!response.ok) {
-      throw new Error(data.error || 'Pickup failed');
-    }
-    return data;
   },
 
-  async verifyDropoff(assignmentId, itemImage) {
-    const headers = await getAuthHeaders();
-    const formData = new FormData();
-    if (itemImage) {
-      formData.append('itemImage', {
-        uri: itemImage.uri,
-        type: 'image/jpeg',
-        name: 'dropoff.jpg',
-      });
-    }
-    delete headers['Content-Type'];
-    const response = await fetch(`${API_BASE_URL}/delivery-assignments/${assignmentId}/verify-dropoff`, {
+  // Arrival at / departure from an assignment's pickup or dropoff branch (lib/geofence)
+  async recordAssignmentEvent(assignmentId, { clientId, event, stop, occurredAt, dwellSeconds, latitude, longitude }, { recordedBy } = {}) {
+    return this.request(`/delivery-assignments/${assignmentId}/events`, {
       method: 'POST',
-      headers,
-      body: formData,
+      headers: recordedByHeader(recordedBy),
+      body: {
+        client_id: clientId,
+        event_type: event,
+        stop,
+        occurred_at: occurredAt,
+        dwell_seconds: dwellSeconds,
+        latitude,
+        longitude,
+      },
+      // client_id makes a repeat harmless
+      idempotent: true,
     });
-    const data = await response.json().catch(() => ({}));
-    if (!response.ok) {
-      throw new Error(data.error || 'Dropoff failed');
-    }
-    return data;
+  },
+
+  // Legacy image-only entry points; kept for existing callers
+  async verifyPickup(assignmentId, itemImage, options) {
+    return this.uploadVerification('pickup', assignmentId, { file: itemImage }, options);
+  },
+
+  async verifyDropoff(assignmentId, itemImage, options) {
+    return this.uploadVerification('dropoff', assignmentId, { file: itemImage }, options);
   },
 
   // User-scoped lists
   async getMyAssignments() {
-    // Use shared request to include Authorization automatically and pass X-User-Id
-    const headers = await getAuthHeaders();
-    // Avoid overriding Authorization or Content-Type from request()
-    delete headers['Content-Type'];
-    return this.request('/delivery-assignments/my-assignments', { headers });
+    return normalizeAssignmentList(await this.request('/delivery-assignments/my-assignments'));
+  },
+
+  // Cached variants for screens: onData({ data, updatedAt, fromCache }) fires with the saved copy
+  // straight away and again once the server answers (see swr in lib/cache)
+  async getMyAssignmentsCached(onData) {
+    return swr(CACHE_KEYS.myAssignments, () => this.getMyAssignments(), normalizeAssignmentList, onData);
+  },
+
+  async getDeliveryAssignmentCached(id, onData) {
+    return swr(CACHE_KEYS.assignment(id), () => this.getDeliveryAssignment(id), normalizeAssignment, onData);
   },
 
   async getMyCompletedDeliveries() {
-    // Use shared request to include Authorization automatically and pass X-User-Id
-    const headers = await getAuthHeaders();
-    delete headers['Content-Type'];
-    return this.request('/delivery-assignments/my-completed', { headers });
+    return normalizeCompletedDeliveryList(await this.request('/delivery-assignments/my-completed'));
   },
   
-  // Multipart alternatives to support image file uploads (do not set Content-Type manually)
-  async verifyPickupMultipart(assignmentId, { file, location, notes }) {
-    const token = await AsyncStorage.getItem('accessToken');
-    const form = new FormData();
-    if (file) {
-      form.append('itemImage', {
-        uri: file.uri,
-        type: file.type || 'image/jpeg',
-        name: file.name || 'item.jpg',
-      });
-    }
-    if (location) {
-      form.append('location', JSON.stringify(location));
-      if (typeof location.lat !== 'undefined') form.append('latitude', String(location.lat));
-      if (typeof location.lng !== 'undefined') form.append('longitude', String(location.lng));
-      if (typeof location.latitude !== 'undefined') form.append('latitude', String(location.latitude));
-      if (typeof location.longitude !== 'undefined') form.append('longitude', String(location.longitude));
-    }
-    if (notes) form.append('notes', notes);
-    const res = await fetch(`${API_BASE_URL}/delivery-assignments/${assignmentId}/verify-pickup`, {
+  // Single upload path for pickup/dropoff verification (multipart, do not set Content-Type manually).
+  // fields: { file, location, notes, recipientName, trip }; options: { onProgress, retries, recordedBy }.
+  // Goes through the same middleware as request(), sent via the transport's upload() so progress
+  // is reported; resolves a normalized { ok, kind, status, data } result.
+  async uploadVerification(kind, assignmentId, fields = {}, { onProgress, retries, recordedBy } = {}) {
+    const endpoint = `/delivery-assignments/${assignmentId}/verify-${kind}`;
+    const response = await pipeline.execute({
+      url: `${API_BASE_URL}${endpoint}`,
+      endpoint,
       method: 'POST',
-      headers: {
-        ...(token ? { Authorization: `Bearer ${token}` } : {}),
-      },
-      body: form,
+      headers: recordedByHeader(recordedBy),
+      body: buildVerificationForm(kind, fields),
+      upload: true,
+      // Not idempotent: the server does not dedupe verifications, so an upload that may have
+      // arrived answers a resend with 409. Only 429/503 (not processed) are retried.
+      retryPolicy: { retries: retries ?? UPLOAD_RETRIES, idempotent: false },
+      onUploadProgress: onProgress && (({ loaded, total, attempt }) => {
+        onProgress({ loaded, total, fraction: total ? loaded / total : 0, attempt });
+      }),
     });
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`HTTP ${res.status}: ${text}`);
-    }
-    return res.json();
+    console.log(`✅ ${kind} verification uploaded for assignment ${assignmentId}`);
+    await invalidateAssignment(assignmentId);
+    return normalizeUploadResult(kind, assignmentId, response.data);
   },
 
-  async verifyDropoffMultipart(assignmentId, { file, recipientName, location, notes }) {
-    const token = await AsyncStorage.getItem('accessToken');
-    const form = new FormData();
-    if (file) {
-      form.append('itemImage', {
-        uri: file.uri,
-        type: file.type || 'image/jpeg',
-        name: file.name || 'dropoff.jpg',
-      });
-    }
-    if (recipientName) form.append('recipient_name', recipientName);
-    if (location) {
-      form.append('location', JSON.stringify(location));
-      if (typeof location.lat !== 'undefined') form.append('latitude', String(location.lat));
-      if (typeof location.lng !== 'undefined') form.append('longitude', String(location.lng));
-      if (typeof location.latitude !== 'undefined') form.append('latitude', String(location.latitude));
-      if (typeof location.longitude !== 'undefined') form.append('longitude', String(location.longitude));
-    }
-    if (notes) form.append('notes', notes);
-    const res = await fetch(`${API_BASE_URL}/delivery-assignments/${assignmentId}/verify-dropoff`, {
-      method: 'POST',
-      headers: {
-        ...(token ? { Authorization: `Bearer ${token}` } : {}),
-      },
-      body: form,
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`HTTP ${res.status}: ${text}`);
-    }
-    return res.json();
+  async verifyPickupMultipart(assignmentId, { file, location, notes }, options) {
+    return this.uploadVerification('pickup', assignmentId, { file, location, notes }, options);
+  },
+
+  async verifyDropoffMultipart(assignmentId, { file, recipientName, location, notes, trip }, options) {
+    return this.uploadVerification('dropoff', assignmentId, { file, recipientName, location, notes, trip }, options);
   },
- 
+
   async testConnection() {
     console.log('🔍 Testing connection to:', API_BASE_URL);
+    // Only a base without any port also gets a :5000 probe (host:8080 must not become host:8080:5000)
+    const hasPort = /^https?:\/\/[^/]+:\d+/.test(API_BASE_URL);
     // Try primary health first
     const healthUrls = [
       `${API_BASE_URL}/health`,
-      // If current base is no-port form, also probe :5000
-      API_BASE_URL.includes(':5000') ? null : `${API_BASE_URL.replace('/api','')}:5000/api/health`,
+      hasPort ? null : `${API_BASE_URL.replace('/api','')}:5000/api/health`,
     ].filter(Boolean);
     const failures = [];
     for (const h of healthUrls) {
       try {
-        const res = await fetch(h, { method: 'GET', headers: { 'Content-Type': 'application/json' } });
+        const res = await getTransport().request(h, { method: 'GET', headers: { 'Content-Type': 'application/json' } });
         if (res.ok) {
           try { await res.json(); } catch {}
           console.log(`✅ Connection test successful via ${h}`);
-          // If success came from :5000 and base lacks :5000, adjust
-          if (h.includes(':5000') && !API_BASE_URL.includes(':5000')) {
+          recordSuccess(h);
+          // If success came from :5000 and base had no port, adjust
+          if (!hasPort && h !== `${API_BASE_URL}/health`) {
             API_BASE_URL = `${API_BASE_URL.replace('/api','')}:5000/api`;
             console.log('🔁 Updated API_BASE_URL to explicit port 5000:', API_BASE_URL);
           }
@@ -441,84 +712,30 @@ export const initializeApp = async () => {
 export const setApiBaseUrl = (url) => {
   if (typeof url === 'string' && url.trim()) {
     API_BASE_URL = url.replace(/\/$/, '');
-    AsyncStorage.setItem('lastApiHost', API_BASE_URL.split('://')[1]?.split('/')[0] || '').catch(() => {});
+    AsyncStorage.setItem(lastHostKey(activeProfile || DEFAULT_PROFILE), API_BASE_URL.split('://')[1]?.split('/')[0] || '').catch(() => {});
     console.log('🔧 Manual API_BASE_URL override:', API_BASE_URL);
   }
   return API_BASE_URL;
 };
 
-export const getApiDiagnostics = () => ({ API_BASE_URL });
+export const getApiDiagnostics = () => ({
+  API_BASE_URL,
+  transport: getTransport().name,
+  profile: activeProfile || DEFAULT_PROFILE,
+  probes: lastProbeResults,
+  timings: timingMiddleware.entries(),
+});
 
 export { api, API_BASE_URL };
 // Simplified named exports for image-only verification via multipart/form-data
-export const verifyPickup = async (assignmentId, itemImage) => {
-  const token = await AsyncStorage.getItem('accessToken');
-  const formData = new FormData();
-  if (itemImage) {
-    formData.append('itemImage', {
-      uri: itemImage.uri,
-      type: itemImage.type || 'image/jpeg',
-      name: itemImage.name || 'pickup.jpg',
-    });
-  }
-  const res = await fetch(`${API_BASE_URL}/delivery-assignments/${assignmentId}/verify-pickup`, {
-    method: 'POST',
-    headers: {
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    },
-    body: formData,
-  });
-  const text = await res.text();
-  let data = null; try { data = text ? JSON.parse(text) : null; } catch {}
-  if (!res.ok) {
-    throw new Error((data && data.error) || text || 'Pickup failed');
-  }
-  return data;
-};
+export const verifyPickup = (assignmentId, itemImage, options) => api.verifyPickup(assignmentId, itemImage, options);
 
-export const verifyDropoff = async (assignmentId, itemImage) => {
-  const token = await AsyncStorage.getItem('accessToken');
-  const formData = new FormData();
-  if (itemImage) {
-    formData.append('itemImage', {
-      uri: itemImage.uri,
-      type: itemImage.type || 'image/jpeg',
-      name: itemImage.name || 'dropoff.jpg',
-    });
-  }
-  const res = await fetch(`${API_BASE_URL}/delivery-assignments/${assignmentId}/verify-dropoff`, {
-    method: 'POST',
-    headers: {
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    },
-    body: formData,
-  });
-  const text = await res.text();
-  let data = null; try { data = text ? JSON.parse(text) : null; } catch {}
-  if (!res.ok) {
-    throw new Error((data && data.error) || text || 'Dropoff failed');
-  }
-  return data;
-};
+export const verifyDropoff = (assignmentId, itemImage, options) => api.verifyDropoff(assignmentId, itemImage, options);
 
-// Get completed deliveries (public endpoint in current setup)
-export const getCompletedDeliveries = async () => {
-  const res = await fetch(`${API_BASE_URL}/delivery-assignments/completed`);
-  const text = await res.text();
-  let data = null; try { data = text ? JSON.parse(text) : null; } catch {}
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}: Failed to fetch completed deliveries`);
-  }
-  return data || [];
-};
+// Every driver's completed deliveries (deliveries:view-all; the server checks the caller's role)
+export const getCompletedDeliveries = async () =>
+  normalizeCompletedDeliveryList(await api.request('/delivery-assignments/completed'));
 
 // Get active assignments (ASSIGNED and IN_PROGRESS only)
-export const getActiveAssignments = async () => {
-  const res = await fetch(`${API_BASE_URL}/delivery-assignments/active`);
-  const text = await res.text();
-  let data = null; try { data = text ? JSON.parse(text) : null; } catch {}
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}: Failed to fetch active assignments`);
-  }
-  return data || [];
-};
+export const getActiveAssignments = async () =>
+  normalizeAssignmentList(await api.request('/delivery-assignments/active', { auth: false }));
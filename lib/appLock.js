@@ -0,0 +1,98 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import Constants from 'expo-constants';
+
+// Local PIN for the inactivity lock (see contexts/AppLockContext).
+// Only a salted, repeatedly hashed PIN is stored, per user, on this device. Failed attempts are
+// persisted too, so restarting the app does not reset the count.
+
+const extra = Constants?.expoConfig?.extra || {};
+
+const SETTINGS_KEY = 'appLock:settings';
+const pinKey = (userId) => `appLock:pin:${userId}`;
+
+const HASH_ROUNDS = 100;
+export const MAX_FAILED_ATTEMPTS = 5;
+export const PIN_PATTERN = /^\d{4,6}$/;
+
+// extra.APP_LOCK_INACTIVITY_MINUTES / APP_LOCK_BACKGROUND_GRACE_SECONDS set the fleet default;
+// a user's choice in profile overrides it on their device
+export const DEFAULT_LOCK_SETTINGS = {
+  inactivityMs: (Number(extra.APP_LOCK_INACTIVITY_MINUTES) || 5) * 60000,
+  backgroundGraceMs: (Number(extra.APP_LOCK_BACKGROUND_GRACE_SECONDS) || 30) * 1000,
+};
+
+const hashPin = async (pin, salt) => {
+  let digest = `${salt}:${pin}`;
+  for (let i = 0; i < HASH_ROUNDS; i += 1) {
+    digest = await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${digest}`);
+  }
+  return digest;
+};
+
+const randomSalt = () => Array.from(Crypto.getRandomBytes(16), (b) => b.toString(16).padStart(2, '0')).join('');
+
+const readRecord = async (userId) => {
+  try {
+    const raw = await AsyncStorage.getItem(pinKey(userId));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const appLock = {
+  async getSettings() {
+    try {
+      const raw = await AsyncStorage.getItem(SETTINGS_KEY);
+      return { ...DEFAULT_LOCK_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+    } catch {
+      return DEFAULT_LOCK_SETTINGS;
+    }
+  },
+
+  async updateSettings(changes) {
+    const next = { ...(await appLock.getSettings()), ...changes };
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+    return next;
+  },
+
+  async hasPin(userId) {
+    return !!(await readRecord(userId))?.hash;
+  },
+
+  async setPin(userId, pin) {
+    if (!PIN_PATTERN.test(pin)) throw new Error('PIN must be 4 to 6 digits');
+    const salt = randomSalt();
+    const hash = await hashPin(pin, salt);
+    await AsyncStorage.setItem(pinKey(userId), JSON.stringify({
+      salt,
+      hash,
+      failedAttempts: 0,
+      createdAt: new Date().toISOString(),
+    }));
+    console.log('🔐 App lock PIN set');
+  },
+
+  // Resolves { ok, remaining }; remaining hits 0 when the caller must force a full re-login
+  async verifyPin(userId, pin) {
+    const record = await readRecord(userId);
+    if (!record?.hash) return { ok: false, remaining: 0 };
+    if (await hashPin(pin, record.salt) === record.hash) {
+      if (record.failedAttempts) {
+        await AsyncStorage.setItem(pinKey(userId), JSON.stringify({ ...record, failedAttempts: 0 }));
+      }
+      return { ok: true, remaining: MAX_FAILED_ATTEMPTS };
+    }
+    const failedAttempts = (record.failedAttempts || 0) + 1;
+    await AsyncStorage.setItem(pinKey(userId), JSON.stringify({ ...record, failedAttempts }));
+    console.warn(`🔐 Wrong PIN (${failedAttempts}/${MAX_FAILED_ATTEMPTS})`);
+    return { ok: false, remaining: Math.max(0, MAX_FAILED_ATTEMPTS - failedAttempts) };
+  },
+
+  async clearPin(userId) {
+    await AsyncStorage.removeItem(pinKey(userId)).catch(() => {});
+  },
+};
+
+export default appLock;
@@ -0,0 +1,104 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { userKey, getCurrentUserId, listUserKeys } from './userStorage';
+
+// Stale-while-revalidate cache for read endpoints.
+// Last good responses are persisted per user (see userStorage) so screens can render instantly,
+// then the network copy replaces them. Identical in-flight requests share one fetch.
+
+const CACHE_PREFIX = 'cache:';
+
+const inFlight = new Map();
+
+const storageKey = (scope, key) => userKey(scope, `${CACHE_PREFIX}${key}`);
+
+// revive turns the JSON copy back into a client model (e.g. date strings -> Date)
+export const readCache = async (key, revive = (data) => data) => {
+  const scope = await getCurrentUserId();
+  if (!scope) return null;
+  try {
+    const raw = await AsyncStorage.getItem(storageKey(scope, key));
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    return { data: revive(entry.data), updatedAt: new Date(entry.updatedAt) };
+  } catch (e) {
+    console.warn(`Cache read failed for ${key}:`, e?.message || e);
+    return null;
+  }
+};
+
+const writeCache = async (scope, key, data) => {
+  const updatedAt = new Date();
+  try {
+    await AsyncStorage.setItem(storageKey(scope, key), JSON.stringify({ data, updatedAt: updatedAt.toISOString() }));
+  } catch (e) {
+    console.warn(`Cache write failed for ${key}:`, e?.message || e);
+  }
+  return updatedAt;
+};
+
+// Rewrite a cached value in place (e.g. from a realtime event) without a network round trip.
+// update(current) returns the new value, or undefined to leave the entry as it is.
+export const updateCache = async (key, update, revive = (data) => data) => {
+  const scope = await getCurrentUserId();
+  if (!scope) return;
+  const cached = await readCache(key, revive);
+  const next = update(cached ? cached.data : null);
+  if (next === undefined) return;
+  await writeCache(scope, key, next);
+};
+
+// Drop entries for the current user so the next read goes to the network.
+// Keys ending in '*' match by prefix (e.g. 'assignment:*').
+export const invalidateCache = async (...keys) => {
+  const scope = await getCurrentUserId();
+  if (!scope) return;
+  try {
+    const exact = keys.filter((k) => !k.endsWith('*')).map((k) => storageKey(scope, k));
+    const prefixes = keys.filter((k) => k.endsWith('*')).map((k) => storageKey(scope, k.slice(0, -1)));
+    let toRemove = exact;
+    if (prefixes.length) {
+      const all = await AsyncStorage.getAllKeys();
+      toRemove = [...exact, ...all.filter((k) => prefixes.some((p) => k.startsWith(p)))];
+    }
+    if (toRemove.length) await AsyncStorage.multiRemove(toRemove);
+    console.log('🧹 Cache invalidated:', keys.join(', '));
+  } catch (e) {
+    console.warn('Cache invalidation failed:', e?.message || e);
+  }
+};
+
+// Drop every cached response of one user (e.g. the outgoing driver at shift handover)
+export const clearUserCache = async (userId) => {
+  if (!userId) return;
+  try {
+    const keys = await listUserKeys(userId, CACHE_PREFIX);
+    if (keys.length) await AsyncStorage.multiRemove(keys);
+    console.log(`🧹 Cleared ${keys.length} cached response(s) for user ${userId}`);
+  } catch (e) {
+    console.warn('Clearing user cache failed:', e?.message || e);
+  }
+};
+
+// Serve the cached copy (if any) through onData, then revalidate.
+// onData({ data, updatedAt, fromCache }) fires up to twice; the returned promise resolves with the
+// fresh data and rejects if revalidation fails, so callers can tell the user they are seeing saved data.
+export const swr = async (key, fetcher, revive, onData) => {
+  const scope = await getCurrentUserId();
+  const cached = await readCache(key, revive);
+  if (cached && onData) onData({ ...cached, fromCache: true });
+
+  const flightKey = `${scope || 'anon'}:${key}`;
+  let request = inFlight.get(flightKey);
+  if (!request) {
+    request = (async () => {
+      const data = await fetcher();
+      const updatedAt = scope ? await writeCache(scope, key, data) : new Date();
+      return { data, updatedAt };
+    })().finally(() => inFlight.delete(flightKey));
+    inFlight.set(flightKey, request);
+  }
+
+  const fresh = await request;
+  if (onData) onData({ ...fresh, fromCache: false });
+  return fresh.data;
+};
@@ -0,0 +1,94 @@
+import { Alert } from 'react-native';
+
+// Turns errors from lib/errors into something a driver can act on. Screens call
+//   showError(error, { fallback: 'Failed to load profile information', onRetry: loadProfile })
+// and never show error.message directly (it can hold status codes or an HTML error page).
+
+const FIELD_LABELS = {
+  recipient_name: 'Recipient name',
+  latitude: 'Location',
+  longitude: 'Location',
+  itemImage: 'Photo',
+  currentPassword: 'Current password',
+  newPassword: 'New password',
+  code: 'Reset code',
+};
+
+// Server error codes whose meaning is clearer than the generic message for their kind
+const CODE_MESSAGES = {
+  INVALID_RESET_CODE: { title: 'Wrong Code', message: 'That code is not right. Check the email we sent and try again.' },
+  RESET_CODE_EXPIRED: { title: 'Code Expired', message: 'That code has expired. Request a new one and try again.' },
+  INVALID_CURRENT_PASSWORD: { title: 'Wrong Password', message: 'Your current password is not correct.' },
+};
+
+const fieldList = (fieldErrors) => [...new Set(Object.entries(fieldErrors || {})
+  .map(([field, message]) => `• ${FIELD_LABELS[field] || field.replace(/_/g, ' ')}: ${message}`))]
+  .join('\n');
+
+// { title, message, retryable, retryLabel? } for any thrown value; fallback is used for unknown errors
+export const describeError = (error, { fallback = 'Something went wrong. Please try again.' } = {}) => {
+  if (error?.userMessage) {
+    return { title: 'Connection Problem', message: error.userMessage, retryable: true };
+  }
+  if (error?.code && CODE_MESSAGES[error.code]) {
+    return { ...CODE_MESSAGES[error.code], retryable: false };
+  }
+  switch (error?.kind) {
+    case 'timeout':
+      return {
+        title: 'Request Timed Out',
+        message: 'The server took too long to respond. Check your signal and try again.',
+        retryable: true,
+      };
+    case 'network':
+      return {
+        title: 'No Connection',
+        message: 'Could not reach the server. Check your internet connection and try again.',
+        retryable: true,
+      };
+    case 'unauthorized':
+      if (error.sessionExpired) {
+        return { title: 'Session Expired', message: 'Please log in again to continue.', retryable: false };
+      }
+      if (error.status === 403) {
+        return { title: 'Not Allowed', message: 'Your account does not have access to this.', retryable: false };
+      }
+      return { title: 'Not Signed In', message: error.serverMessage || 'Please log in again.', retryable: false };
+    case 'validation': {
+      const fields = fieldList(error.fieldErrors);
+      const message = [error.serverMessage || 'Some details are missing or invalid.', fields].filter(Boolean).join('\n\n');
+      return { title: 'Check Your Details', message, retryable: false };
+    }
+    case 'conflict':
+      return {
+        title: 'Already Updated',
+        message: `${error.serverMessage || 'This delivery was changed elsewhere.'}\n\nRefresh to see the latest status.`,
+        retryable: true,
+        retryLabel: 'Refresh',
+      };
+    case 'server':
+      if (error.status === 429) {
+        return { title: 'Server Busy', message: 'Too many requests right now. Please wait a moment and try again.', retryable: true };
+      }
+      return {
+        title: 'Server Problem',
+        message: 'Something went wrong on our side. Please try again in a moment.',
+        retryable: true,
+      };
+    case 'unknown':
+      // Any other HTTP status (e.g. 404): the server's wording is usually specific enough
+      return { title: 'Error', message: error.serverMessage || fallback, retryable: false };
+    default:
+      return { title: 'Error', message: fallback, retryable: false };
+  }
+};
+
+// Alert with the friendly message; retryable errors get a "Try Again" button when onRetry is given
+export const showError = (error, { title, fallback, onRetry } = {}) => {
+  const described = describeError(error, { fallback });
+  const buttons = described.retryable && onRetry
+    ? [{ text: 'Cancel', style: 'cancel' }, { text: described.retryLabel || 'Try Again', onPress: () => onRetry() }]
+    : [{ text: 'OK' }];
+  Alert.alert(title || described.title, described.message, buttons);
+  return described;
+};
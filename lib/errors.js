@@ -0,0 +1,114 @@
+// Error types thrown by lib/api.js. Screens should not parse messages: check the class
+// (or error.kind) and hand the error to showError in lib/errorPresenter.js.
+//
+//   ApiError                any failed call; status, code (server error code), fieldErrors
+//   ├─ NetworkError         never reached the server (offline, DNS, circuit open)
+//   │  └─ TimeoutError      gave up waiting
+//   ├─ UnauthorizedError    401/403, including an expired session
+//   ├─ ValidationError      400/422, usually with fieldErrors
+//   ├─ ConflictError        409, the record changed state on the server
+//   └─ ServerError          5xx and 429
+//
+// The older tags (isNetworkError, status, sessionExpired, circuitOpen, retryAfterMs) are kept
+// as properties, so retry and outbox logic keeps working on any error.
+
+export class ApiError extends Error {
+  constructor(message, { status = null, code = null, fieldErrors = null, data = null, retryAfterMs = null, ...tags } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = 'unknown';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.data = data;
+    this.retryAfterMs = retryAfterMs;
+    Object.assign(this, tags);
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.kind = 'network';
+    this.isNetworkError = true;
+  }
+}
+
+export class TimeoutError extends NetworkError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+    this.kind = 'timeout';
+  }
+}
+
+export class UnauthorizedError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UnauthorizedError';
+    this.kind = 'unauthorized';
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.kind = 'validation';
+  }
+}
+
+export class ConflictError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConflictError';
+    this.kind = 'conflict';
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+    this.kind = 'server';
+  }
+}
+
+// Servers send either { errors: { field: msg } } or { errors: [{ field|param|path, message|msg }] }
+const normalizeFieldErrors = (errors) => {
+  if (!errors || typeof errors !== 'object') return null;
+  const entries = Array.isArray(errors)
+    ? errors.map((e) => [e?.field || e?.param || e?.path, e?.message || e?.msg])
+    : Object.entries(errors).map(([field, value]) => [field, Array.isArray(value) ? value[0] : value]);
+  const fieldErrors = Object.fromEntries(entries.filter(([field, message]) => field && message).map(([f, m]) => [f, String(m)]));
+  return Object.keys(fieldErrors).length ? fieldErrors : null;
+};
+
+// HTML error pages (proxies, crashed servers) are never worth showing
+const readableText = (text) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed || trimmed.startsWith('<')) return null;
+  return trimmed.length > 200 ? `${trimmed.slice(0, 200)}…` : trimmed;
+};
+
+// Build the typed error for a non-2xx response ({ status, data, text } from lib/middleware)
+export const createHttpError = (response, { retryAfterMs = null } = {}) => {
+  const { status, data } = response;
+  const body = data && typeof data === 'object' ? data : {};
+  const serverMessage = body.message || body.error || (data ? null : readableText(response.text));
+  const options = {
+    status,
+    code: body.code || body.error_code || null,
+    fieldErrors: normalizeFieldErrors(body.errors),
+    data,
+    retryAfterMs,
+    serverMessage: typeof serverMessage === 'string' ? serverMessage : null,
+  };
+  const message = options.serverMessage ? `HTTP ${status}: ${options.serverMessage}` : `Request failed (${status})`;
+  if (status === 401 || status === 403) return new UnauthorizedError(message, options);
+  if (status === 400 || status === 422) return new ValidationError(message, options);
+  if (status === 409) return new ConflictError(message, options);
+  if (status >= 500 || status === 429) return new ServerError(message, options);
+  return new ApiError(message, options);
+};
@@ -0,0 +1,479 @@
+// In-memory stand-in for the logistics backend, used as an API transport (see lib/transport).
+// Enable with EXPO_PUBLIC_API_TRANSPORT=fake (or extra.API_TRANSPORT in app.json) to run the
+// whole login -> pickup -> dropoff flow without a server. State lives in memory and resets on reload.
+// Development builds only (lib/api never loads it when __DEV__ is false).
+//
+// Seeded logins (password for all: "password"):
+//   driver@example.com   Logistics driver with three assignments
+//   admin@example.com    Admin
+
+const LATENCY_MS = 250;
+const TOKEN_TTL_SECONDS = 60 * 60;
+const RESET_CODE_TTL_MS = 15 * 60 * 1000;
+const MAX_RESET_CODE_ATTEMPTS = 5;
+
+const encodeBase64 = (str) => (typeof btoa !== 'undefined'
+  ? btoa(str)
+  : Buffer.from(str, 'utf8').toString('base64'));
+
+const decodeBase64 = (str) => (typeof atob !== 'undefined'
+  ? atob(str)
+  : Buffer.from(str, 'base64').toString('utf8'));
+
+// Unsigned JWT-shaped token so api.isAuthenticated can read the expiry
+const makeToken = (userId, type = 'access') => {
+  const header = encodeBase64(JSON.stringify({ alg: 'none', typ: 'JWT' }));
+  const ttl = type === 'refresh' ? TOKEN_TTL_SECONDS * 24 * 7 : TOKEN_TTL_SECONDS;
+  const payload = encodeBase64(JSON.stringify({
+    sub: userId,
+    type,
+    exp: Math.floor(Date.now() / 1000) + ttl,
+  }));
+  return `${header}.${payload}.fake`;
+};
+
+const readToken = (token) => {
+  try {
+    const payload = JSON.parse(decodeBase64(String(token).split('.')[1]));
+    return payload.exp * 1000 > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const hoursFromNow = (h) => new Date(Date.now() + h * 3600 * 1000).toISOString();
+
+const seed = () => {
+  const branches = {
+    1: { name: 'Main Office', address: '100 Ayala Ave, Makati', contact: '0917 000 0001', lat: 14.5547, lng: 121.0244 },
+    2: { name: 'Quezon City Branch', address: '12 North Ave, Quezon City', contact: '0917 000 0002', lat: 14.6538, lng: 121.0327 },
+    3: { name: 'Pasig Branch', address: '5 Ortigas Ave, Pasig', contact: '0917 000 0003', lat: 14.5869, lng: 121.0614 },
+  };
+
+  const users = [
+    {
+      id: 7, fullname: 'Ron Dela Cruz', username: 'ron', email: 'driver@example.com', password: 'password',
+      role: 'Logistics', employeeId: 'EMP-0007', contact: '0917 123 4567', address: 'Quezon City',
+      branchId: 1, branchName: branches[1].name, branchCode: 'MAIN', photo: null,
+    },
+    {
+      id: 1, fullname: 'Office Admin', username: 'admin', email: 'admin@example.com', password: 'password',
+      role: 'Admin', employeeId: 'EMP-0001', contact: '0917 000 0000', address: 'Makati',
+      branchId: 1, branchName: branches[1].name, branchCode: 'MAIN', photo: null,
+    },
+  ];
+
+  const assignment = (id, fromId, toId, fields) => ({
+    assignment_id: id,
+    driver_id: 7,
+    driver_name: 'Ron Dela Cruz',
+    vehicle_type: 'Van',
+    vehicle_number: 'NAB 1234',
+    assigned_by_name: 'Office Admin',
+    from_location_type: fromId === 1 ? 'OFFICE' : 'BRANCH',
+    from_branch_name: branches[fromId].name,
+    from_branch_address: branches[fromId].address,
+    from_branch_contact: branches[fromId].contact,
+    from_branch_latitude: branches[fromId].lat,
+    from_branch_longitude: branches[fromId].lng,
+    to_location_type: toId === 1 ? 'OFFICE' : 'BRANCH',
+    to_branch_name: branches[toId].name,
+    to_branch_address: branches[toId].address,
+    to_branch_contact: branches[toId].contact,
+    to_branch_latitude: branches[toId].lat,
+    to_branch_longitude: branches[toId].lng,
+    notes: null,
+    items: [],
+    amount: null,
+    item_image: null,
+    dropoff_image: null,
+    assignment_date: hoursFromNow(-2),
+    delivered_at: null,
+    created_at: hoursFromNow(-2),
+    updated_at: hoursFromNow(-2),
+    ...fields,
+  });
+
+  const assignments = [
+    assignment(101, 1, 2, {
+      assignment_type: 'CAPITAL_DELIVERY', status: 'ASSIGNED', amount: '150000.00', due_date: hoursFromNow(4),
+      notes: 'Hand over to branch manager only.',
+    }),
+    assignment(102, 2, 3, {
+      assignment_type: 'ITEM_TRANSFER', status: 'IN_PROGRESS', due_date: hoursFromNow(6),
+      items: [{ name: 'Gold necklace 18k', quantity: 2 }, { name: 'Laptop', quantity: 1 }],
+      item_image: 'fake/pickup-102.jpg',
+    }),
+    assignment(103, 3, 1, {
+      assignment_type: 'BALANCE_DELIVERY', status: 'COMPLETED', amount: '42500.50', due_date: hoursFromNow(-20),
+      item_image: 'fake/pickup-103.jpg', dropoff_image: 'fake/dropoff-103.jpg', delivered_at: hoursFromNow(-22),
+    }),
+  ];
+
+  return { users, assignments, locations: [], handovers: [], revokedTokens: new Set(), resetCodes: new Map(), resetTokens: new Map() };
+};
+
+const respond = (status, body) => {
+  const text = body === undefined ? '' : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => (String(name).toLowerCase() === 'content-type' ? 'application/json' : null) },
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener?.('abort', () => {
+    clearTimeout(timer);
+    reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+  });
+});
+
+const headerValue = (headers = {}, name) => {
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+const parseJsonBody = (body) => {
+  if (!body || typeof body !== 'string') return {};
+  try { return JSON.parse(body); } catch { return {}; }
+};
+
+// React Native's FormData exposes getParts(); fall back to nothing elsewhere
+const formField = (form, name) => {
+  const part = form?.getParts?.().find((p) => p.fieldName === name);
+  if (part) return part.string ?? part.uri ?? null;
+  return form?.get?.(name) ?? null;
+};
+
+const publicUser = ({ password, ...user }) => user;
+
+// Mirrors lib/password closely enough to exercise the server-side WEAK_PASSWORD path
+const weakPasswordResponse = (newPassword) => {
+  const pw = String(newPassword || '');
+  if (pw.length >= 8 && /[A-Z]/.test(pw) && /[a-z]/.test(pw) && /\d/.test(pw)) return null;
+  return respond(422, {
+    error: 'Password is too weak',
+    code: 'WEAK_PASSWORD',
+    errors: { newPassword: 'must be at least 8 characters with upper and lower case letters and a number' },
+  });
+};
+
+export const createFakeBackend = () => {
+  const db = seed();
+
+  const currentUser = (headers) => {
+    const auth = headerValue(headers, 'Authorization');
+    if (auth && auth.startsWith('Bearer ')) {
+      const token = auth.slice(7);
+      if (db.revokedTokens.has(token)) return { error: 401 };
+      const payload = readToken(token);
+      if (!payload) return { error: 401 };
+      return { user: db.users.find((u) => u.id === payload.sub) };
+    }
+    const headerId = Number(headerValue(headers, 'X-User-Id'));
+    if (headerId) return { user: db.users.find((u) => u.id === headerId) };
+    return { user: null };
+  };
+
+  const findAssignment = (id) => db.assignments.find((a) => a.assignment_id === Number(id));
+
+  // Who an action on assignmentId is filed under: { id } of the caller, or of the account named by
+  // X-Recorded-By (an outbox entry the outgoing driver handed over at shift change) when that
+  // driver's handover covers the assignment; { error } otherwise
+  const actorFor = ({ headers, user }, assignmentId) => {
+    const header = headerValue(headers, 'X-Recorded-By');
+    if (!header) return { id: user?.id ?? null };
+    const recordedBy = Number(header);
+    if (recordedBy === user?.id) return { id: recordedBy };
+    const covered = db.handovers.some((h) => h.from_user_id === recordedBy && h.assignment_ids.includes(Number(assignmentId)));
+    return covered ? { id: recordedBy } : { error: `No handover from user ${header} covers assignment ${assignmentId}` };
+  };
+
+  const forbiddenActor = (actor) => respond(403, { error: actor.error, code: 'HANDOVER_NOT_FOUND' });
+
+  const touch = (a, fields) => Object.assign(a, fields, { updated_at: new Date().toISOString() });
+
+  // One GPS point -> { stored } | { duplicate } | { status, error, code?, errors? }
+  const storeLocation = (point, request) => {
+    if (!findAssignment(point.assignment_id)) return { status: 404, error: 'Assignment not found' };
+    const actor = actorFor(request, point.assignment_id);
+    if (actor.error) return { status: 403, error: actor.error, code: 'HANDOVER_NOT_FOUND' };
+    if (typeof point.latitude !== 'number' || typeof point.longitude !== 'number') {
+      return {
+        status: 400,
+        error: 'latitude and longitude are required',
+        code: 'VALIDATION_FAILED',
+        errors: {
+          ...(typeof point.latitude !== 'number' ? { latitude: 'must be a number' } : {}),
+          ...(typeof point.longitude !== 'number' ? { longitude: 'must be a number' } : {}),
+        },
+      };
+    }
+    if (point.client_id && db.locations.some((l) => l.client_id === point.client_id)) return { duplicate: true };
+    db.locations.push({ ...point, recorded_by: actor.id, id: db.locations.length + 1 });
+    return { stored: true };
+  };
+
+  const routes = [
+    ['GET', /^\/health$/, () => respond(200, { status: 'ok', backend: 'fake' })],
+
+    ['POST', /^\/auth\/login$/, ({ body }) => {
+      const { email, password } = parseJsonBody(body);
+      const user = db.users.find((u) => u.email === String(email || '').trim().toLowerCase());
+      if (!user || user.password !== password) return respond(401, { success: false, message: 'Invalid email or password' });
+      return respond(200, {
+        success: true,
+        user: publicUser(user),
+        accessToken: makeToken(user.id),
+        refreshToken: makeToken(user.id, 'refresh'),
+      });
+    }],
+
+    ['POST', /^\/refresh-token$/, ({ body }) => {
+      const { refreshToken } = parseJsonBody(body);
+      const payload = readToken(refreshToken);
+      if (!payload || payload.type !== 'refresh' || db.revokedTokens.has(refreshToken)) {
+        return respond(401, { success: false, message: 'Invalid refresh token' });
+      }
+      return respond(200, { accessToken: makeToken(payload.sub) });
+    }],
+
+    ['POST', /^\/logout$/, ({ headers, body }) => {
+      const auth = headerValue(headers, 'Authorization');
+      if (auth) db.revokedTokens.add(auth.replace(/^Bearer /, ''));
+      const { refreshToken } = parseJsonBody(body);
+      if (refreshToken) db.revokedTokens.add(refreshToken);
+      return respond(200, { success: true });
+    }],
+
+    // The code would be emailed; here it is logged so the flow can be walked through
+    ['POST', /^\/auth\/forgot-password$/, ({ body }) => {
+      const email = String(parseJsonBody(body).email || '').trim().toLowerCase();
+      const user = db.users.find((u) => u.email === email);
+      if (user) {
+        const code = String(Math.floor(100000 + Math.random() * 900000));
+        db.resetCodes.set(email, { code, userId: user.id, expiresAt: Date.now() + RESET_CODE_TTL_MS, attempts: 0 });
+        console.log(`🧪 [fake] Password reset code for ${email}: ${code}`);
+      }
+      return respond(200, { success: true, message: 'If that email has an account, a reset code is on its way.' });
+    }],
+
+    ['POST', /^\/auth\/verify-reset-code$/, ({ body }) => {
+      const { email, code } = parseJsonBody(body);
+      const key = String(email || '').trim().toLowerCase();
+      const entry = db.resetCodes.get(key);
+      if (!entry || entry.attempts >= MAX_RESET_CODE_ATTEMPTS) {
+        return respond(400, { error: 'Invalid reset code', code: 'INVALID_RESET_CODE', errors: { code: 'is not valid' } });
+      }
+      if (entry.expiresAt < Date.now()) {
+        db.resetCodes.delete(key);
+        return respond(400, { error: 'Reset code has expired', code: 'RESET_CODE_EXPIRED', errors: { code: 'has expired' } });
+      }
+      if (entry.code !== String(code || '').trim()) {
+        entry.attempts += 1;
+        return respond(400, { error: 'Invalid reset code', code: 'INVALID_RESET_CODE', errors: { code: 'is not valid' } });
+      }
+      db.resetCodes.delete(key);
+      const resetToken = `reset-${entry.userId}-${Date.now()}`;
+      db.resetTokens.set(resetToken, { userId: entry.userId, expiresAt: Date.now() + RESET_CODE_TTL_MS });
+      return respond(200, { success: true, resetToken });
+    }],
+
+    ['POST', /^\/auth\/reset-password$/, ({ body }) => {
+      const { resetToken, newPassword } = parseJsonBody(body);
+      const entry = db.resetTokens.get(resetToken);
+      if (!entry || entry.expiresAt < Date.now()) {
+        return respond(400, { error: 'Reset link has expired, request a new code', code: 'RESET_CODE_EXPIRED' });
+      }
+      const weak = weakPasswordResponse(newPassword);
+      if (weak) return weak;
+      db.resetTokens.delete(resetToken);
+      db.users.find((u) => u.id === entry.userId).password = newPassword;
+      return respond(200, { success: true, message: 'Password updated' });
+    }],
+
+    ['POST', /^\/auth\/change-password$/, ({ body, user }) => {
+      const { currentPassword, newPassword } = parseJsonBody(body);
+      if (user.password !== currentPassword) {
+        return respond(400, {
+          error: 'Current password is incorrect',
+          code: 'INVALID_CURRENT_PASSWORD',
+          errors: { currentPassword: 'is incorrect' },
+        });
+      }
+      if (newPassword === currentPassword) {
+        return respond(422, { error: 'New password must be different', code: 'WEAK_PASSWORD', errors: { newPassword: 'must differ from the current one' } });
+      }
+      const weak = weakPasswordResponse(newPassword);
+      if (weak) return weak;
+      user.password = newPassword;
+      return respond(200, { success: true, message: 'Password updated' });
+    }, { auth: true }],
+
+    ['GET', /^\/profile$/, ({ user }) => respond(200, publicUser(user)), { auth: true }],
+
+    ['GET', /^\/delivery-assignments$/, () => respond(200, db.assignments)],
+
+    ['GET', /^\/delivery-assignments\/my-assignments$/, ({ user }) => respond(200, db.assignments.filter(
+      (a) => a.driver_id === user.id && a.status !== 'COMPLETED' && a.status !== 'CANCELLED'
+    )), { auth: true }],
+
+    ['GET', /^\/delivery-assignments\/my-completed$/, ({ user }) => respond(200, db.assignments.filter(
+      (a) => a.driver_id === user.id && a.status === 'COMPLETED'
+    )), { auth: true }],
+
+    ['GET', /^\/delivery-assignments\/completed$/, ({ user }) => {
+      if (user.role === 'Logistics') return respond(403, { error: 'Only office accounts can see every delivery', code: 'FORBIDDEN' });
+      return respond(200, db.assignments.filter((a) => a.status === 'COMPLETED'));
+    }, { auth: true }],
+
+    ['GET', /^\/delivery-assignments\/active$/, () => respond(200, db.assignments.filter(
+      (a) => a.status === 'ASSIGNED' || a.status === 'IN_PROGRESS'
+    ))],
+
+    ['GET', /^\/delivery-assignments\/(\d+)$/, ({ params }) => {
+      const a = findAssignment(params[0]);
+      return a ? respond(200, { success: true, data: a }) : respond(404, { error: 'Assignment not found' });
+    }],
+
+    ['PUT', /^\/delivery-assignments\/(\d+)\/status$/, ({ params, body, headers, user }) => {
+      const a = findAssignment(params[0]);
+      if (!a) return respond(404, { error: 'Assignment not found' });
+      const { status, notes } = parseJsonBody(body);
+      const allowed = {
+        PENDING: ['ASSIGNED', 'CANCELLED'],
+        ASSIGNED: ['IN_PROGRESS', 'CANCELLED'],
+        IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+      };
+      if (!(allowed[a.status] || []).includes(status)) {
+        return respond(409, { error: `Cannot change status from ${a.status} to ${status}`, code: 'INVALID_STATUS_TRANSITION' });
+      }
+      const actor = actorFor({ headers, user }, a.assignment_id);
+      if (actor.error) return forbiddenActor(actor);
+      touch(a, {
+        status,
+        status_updated_by: actor.id,
+        ...(notes ? { notes } : {}),
+        ...(status === 'COMPLETED' ? { delivered_at: new Date().toISOString() } : {}),
+      });
+      return respond(200, { success: true, data: a });
+    }],
+
+    ['POST', /^\/delivery-assignments\/handover$/, ({ body, user }) => {
+      const { assignment_ids: ids = [], note } = parseJsonBody(body);
+      const handedOver = ids.map(findAssignment).filter((a) => a && a.driver_id === user.id);
+      if (handedOver.length !== ids.length) {
+        return respond(400, { error: 'Only your own assignments can be handed over', code: 'VALIDATION_FAILED' });
+      }
+      // Open ones go back to dispatch; every one listed may still receive the driver's queued proofs
+      handedOver
+        .filter((a) => a.status !== 'COMPLETED' && a.status !== 'CANCELLED')
+        .forEach((a) => touch(a, { handover_requested_at: new Date().toISOString(), handover_note: note || null }));
+      db.handovers.push({ from_user_id: user.id, assignment_ids: handedOver.map((a) => a.assignment_id), at: new Date().toISOString() });
+      return respond(200, { success: true, data: handedOver });
+    }, { auth: true }],
+
+    ['POST', /^\/delivery-assignments\/(\d+)\/verify-pickup$/, ({ params, body, headers, user }) => {
+      const a = findAssignment(params[0]);
+      if (!a) return respond(404, { error: 'Assignment not found' });
+      if (a.status !== 'ASSIGNED') return respond(409, { error: `Pickup already verified (status ${a.status})`, code: 'ALREADY_PICKED_UP' });
+      const actor = actorFor({ headers, user }, a.assignment_id);
+      if (actor.error) return forbiddenActor(actor);
+      touch(a, { status: 'IN_PROGRESS', item_image: `fake/pickup-${a.assignment_id}.jpg`, pickup_verified_by: actor.id });
+      const notes = formField(body, 'notes');
+      if (notes) a.notes = notes;
+      return respond(200, { success: true, message: 'Pickup verified', status: a.status, data: a });
+    }],
+
+    ['POST', /^\/delivery-assignments\/(\d+)\/verify-dropoff$/, ({ params, body, headers, user }) => {
+      const a = findAssignment(params[0]);
+      if (!a) return respond(404, { error: 'Assignment not found' });
+      if (a.status !== 'IN_PROGRESS') return respond(409, { error: `Dropoff requires IN_PROGRESS (status ${a.status})`, code: 'NOT_IN_PROGRESS' });
+      const actor = actorFor({ headers, user }, a.assignment_id);
+      if (actor.error) return forbiddenActor(actor);
+      touch(a, {
+        status: 'COMPLETED',
+        dropoff_image: `fake/dropoff-${a.assignment_id}.jpg`,
+        recipient_name: formField(body, 'recipient_name'),
+        delivered_by: actor.id,
+        trip_summary: formField(body, 'trip_summary') ? parseJsonBody(formField(body, 'trip_summary')) : null,
+        delivered_at: new Date().toISOString(),
+      });
+      return respond(200, { success: true, message: 'Delivery completed', status: a.status, data: a });
+    }],
+
+    ['POST', /^\/delivery-assignments\/(\d+)\/events$/, ({ params, body, headers, user }) => {
+      const a = findAssignment(params[0]);
+      if (!a) return respond(404, { error: 'Assignment not found' });
+      const event = parseJsonBody(body);
+      if (!['arrival', 'departure'].includes(event.event_type)) {
+        return respond(400, { error: 'event_type must be arrival or departure', code: 'VALIDATION_FAILED' });
+      }
+      const actor = actorFor({ headers, user }, a.assignment_id);
+      if (actor.error) return forbiddenActor(actor);
+      a.events = a.events || [];
+      if (!event.client_id || !a.events.some((e) => e.client_id === event.client_id)) {
+        a.events.push({ ...event, recorded_by: actor.id });
+      }
+      return respond(201, { success: true });
+    }],
+
+    ['POST', /^\/delivery-locations$/, ({ body, headers, user }) => {
+      const { status, ...result } = storeLocation(parseJsonBody(body), { headers, user });
+      if (status) return respond(status, result);
+      return respond(result.duplicate ? 200 : 201, { success: true, duplicate: !!result.duplicate });
+    }],
+
+    ['POST', /^\/delivery-locations\/batch$/, ({ body, headers, user }) => {
+      const { locations } = parseJsonBody(body);
+      if (!Array.isArray(locations)) return respond(400, { error: 'locations must be an array', code: 'VALIDATION_FAILED' });
+      const summary = { accepted: 0, duplicates: 0, rejected: [] };
+      locations.forEach((point) => {
+        const result = storeLocation(point, { headers, user });
+        if (result.stored) summary.accepted += 1;
+        else if (result.duplicate) summary.duplicates += 1;
+        else summary.rejected.push({ client_id: point.client_id, error: result.error });
+      });
+      return respond(200, { success: true, ...summary });
+    }],
+  ];
+
+  const handle = async (url, init = {}) => {
+    await wait(LATENCY_MS, init.signal);
+    const method = (init.method || 'GET').toUpperCase();
+    // Only the path after /api matters; host and port are whatever detection picked
+    const path = String(url).replace(/^https?:\/\/[^/]+/, '').replace(/^\/api/, '').split('?')[0] || '/';
+    for (const [routeMethod, pattern, handler, opts = {}] of routes) {
+      const match = routeMethod === method && pattern.exec(path);
+      if (!match) continue;
+      const { user, error } = currentUser(init.headers);
+      if (error) return respond(error, { error: 'Invalid or expired token' });
+      if (opts.auth && !user) return respond(401, { error: 'Authentication required' });
+      console.log(`🧪 [fake] ${method} ${path}`);
+      return handler({ params: match.slice(1), body: init.body, headers: init.headers || {}, user });
+    }
+    return respond(404, { error: `No fake route for ${method} ${path}` });
+  };
+
+  return {
+    name: 'fake',
+    request: handle,
+    // Simulated upload progress in a few steps before the response
+    async upload(url, init = {}) {
+      const total = 512 * 1024;
+      for (let step = 1; step <= 4; step += 1) {
+        await wait(LATENCY_MS / 2, init.signal);
+        init.onUploadProgress && init.onUploadProgress({ loaded: (total * step) / 4, total });
+      }
+      return handle(url, init);
+    },
+    // Exposed for debugging from the console / tests
+    db,
+  };
+};
+
+export default createFakeBackend;
@@ -0,0 +1,191 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+import outbox from './outbox';
+import { branchLocation } from './models';
+import { distanceMeters } from './gpsFilter';
+import { userKey, getCurrentUserId, readJson, createExclusive } from './userStorage';
+
+// Arrival and departure at the pickup and dropoff branches of the driver's open assignments.
+// Fences are checked against every fix lib/locationBuffer records, including those from the
+// background task (lib/locationTask), so they work with no screen open; state is persisted for the
+// same reason. Each event is sent with the assignment through the outbox (type 'geofence').
+//
+// Per-user keys:
+//   geofence:fences  [fence]                   fences for the open assignments (lib/tracking sets them)
+//   geofence:visits  { [fenceId]: visit }      arrivals and departures, for dwell time
+//   geofence:prompt  { fenceId, ... }          an arrival the driver has not been prompted about
+// fence: { id: '<assignmentId>:<stop>', assignmentId, stop: 'pickup' | 'dropoff', branchName,
+//          latitude, longitude, promptOnArrival }
+// visit: { fenceId, assignmentId, stop, branchName, arrivedAt, departedAt, dwellSeconds }
+
+const FENCES_KEY = 'geofence:fences';
+const VISITS_KEY = 'geofence:visits';
+const PROMPT_KEY = 'geofence:prompt';
+
+const extra = Constants?.expoConfig?.extra || {};
+// Inside this distance of the branch counts as arrived
+const ARRIVAL_RADIUS_M = Number(extra.GEOFENCE_RADIUS_M) || 150;
+// Leaving takes a little more distance, so GPS noise at the edge does not flap in and out
+const DEPARTURE_RADIUS_M = ARRIVAL_RADIUS_M * 1.5;
+// Finished visits are kept this long for the assignment screens
+const VISIT_RETENTION_MS = 7 * 24 * 3600000;
+
+const listeners = new Set();
+
+const exclusive = createExclusive();
+
+const notify = (event) => {
+  listeners.forEach((listener) => {
+    try { listener(event); } catch (e) { console.warn('Geofence listener error:', e?.message || e); }
+  });
+};
+
+const fenceFor = (assignment, stop) => {
+  const end = stop === 'pickup' ? 'from' : 'to';
+  const location = branchLocation(assignment, end);
+  if (!location) return null;
+  return {
+    id: `${assignment.assignment_id}:${stop}`,
+    assignmentId: String(assignment.assignment_id),
+    stop,
+    branchName: assignment[`${end}_branch_name`] || null,
+    ...location,
+    // Only the stop whose verification is still due prompts the driver
+    promptOnArrival: stop === 'pickup' ? assignment.status === 'ASSIGNED' : assignment.status === 'IN_PROGRESS',
+  };
+};
+
+// Record an arrival or departure: locally for dwell time, and with the assignment on the server
+const recordEvent = async (userId, type, fence, visit, fix) => {
+  const event = {
+    type,
+    fenceId: fence.id,
+    assignmentId: fence.assignmentId,
+    stop: fence.stop,
+    branchName: fence.branchName,
+    at: type === 'arrival' ? visit.arrivedAt : visit.departedAt,
+    dwellSeconds: visit.dwellSeconds ?? null,
+  };
+  console.log(`📍 ${type === 'arrival' ? 'Arrived at' : 'Left'} ${fence.stop} branch for assignment ${fence.assignmentId}`
+    + (event.dwellSeconds !== null ? ` after ${Math.round(event.dwellSeconds / 60)} min` : ''));
+  if (type === 'arrival' && fence.promptOnArrival) {
+    await AsyncStorage.setItem(userKey(userId, PROMPT_KEY), JSON.stringify(event));
+  }
+  outbox.run('geofence', fence.assignmentId, {
+    // Same event, same id: a resend after a lost response is stored once
+    clientId: `${fence.id}:${type}:${event.at}`,
+    event: type,
+    stop: fence.stop,
+    occurredAt: event.at,
+    dwellSeconds: event.dwellSeconds,
+    latitude: fix?.latitude ?? null,
+    longitude: fix?.longitude ?? null,
+  }).catch((e) => console.warn('Recording geofence event failed:', e?.message || e));
+  notify(event);
+};
+
+const closeVisit = (visit, at) => ({
+  ...visit,
+  departedAt: at,
+  dwellSeconds: Math.max(0, Math.round((new Date(at) - new Date(visit.arrivedAt)) / 1000)),
+});
+
+const geofences = {
+  // Fences for the assignments that are being tracked (statuses as lib/tracking sees them).
+  // Pickup stays fenced while the assignment is in progress, so leaving the pickup branch is logged.
+  setAssignments(assignments) {
+    return exclusive(async () => {
+      const userId = await getCurrentUserId();
+      if (!userId) return;
+      const fences = assignments.flatMap((a) => {
+        if (a.status === 'ASSIGNED') return [fenceFor(a, 'pickup')];
+        if (a.status === 'IN_PROGRESS') return [fenceFor(a, 'pickup'), fenceFor(a, 'dropoff')];
+        return [];
+      }).filter(Boolean);
+      const visits = await readJson(userKey(userId, VISITS_KEY), {});
+      const previous = await readJson(userKey(userId, FENCES_KEY), []);
+      const kept = new Set(fences.map((f) => f.id));
+      // A fence that goes away while the driver is inside (delivery completed at the branch)
+      // ends the visit there
+      const now = new Date().toISOString();
+      const ended = previous.filter((f) => !kept.has(f.id) && visits[f.id]?.arrivedAt && !visits[f.id].departedAt);
+      ended.forEach((f) => { visits[f.id] = closeVisit(visits[f.id], now); });
+      Object.keys(visits).forEach((id) => {
+        const { departedAt } = visits[id];
+        if (departedAt && Date.now() - new Date(departedAt) > VISIT_RETENTION_MS) delete visits[id];
+      });
+      await AsyncStorage.multiSet([
+        [userKey(userId, FENCES_KEY), JSON.stringify(fences)],
+        [userKey(userId, VISITS_KEY), JSON.stringify(visits)],
+      ]);
+      for (const fence of ended) await recordEvent(userId, 'departure', fence, visits[fence.id], null);
+    });
+  },
+
+  // Compare new fixes against every fence; arrivals and departures are recorded as they happen
+  check(fixes) {
+    const list = (Array.isArray(fixes) ? fixes : [fixes]).filter(Boolean);
+    if (!list.length) return Promise.resolve();
+    return exclusive(async () => {
+      const userId = await getCurrentUserId();
+      if (!userId) return;
+      const fences = await readJson(userKey(userId, FENCES_KEY), []);
+      if (!fences.length) return;
+      const visits = await readJson(userKey(userId, VISITS_KEY), {});
+      const events = [];
+      list.forEach((fix) => {
+        fences.forEach((fence) => {
+          const distance = distanceMeters(fix, fence);
+          const visit = visits[fence.id];
+          const inside = visit?.arrivedAt && !visit.departedAt;
+          if (!inside && distance <= ARRIVAL_RADIUS_M) {
+            visits[fence.id] = {
+              fenceId: fence.id,
+              assignmentId: fence.assignmentId,
+              stop: fence.stop,
+              branchName: fence.branchName,
+              arrivedAt: fix.timestamp,
+              departedAt: null,
+              dwellSeconds: null,
+            };
+            events.push(['arrival', fence, visits[fence.id], fix]);
+          } else if (inside && distance > DEPARTURE_RADIUS_M) {
+            visits[fence.id] = closeVisit(visit, fix.timestamp);
+            events.push(['departure', fence, visits[fence.id], fix]);
+          }
+        });
+      });
+      if (!events.length) return;
+      await AsyncStorage.setItem(userKey(userId, VISITS_KEY), JSON.stringify(visits));
+      for (const [type, fence, visit, fix] of events) await recordEvent(userId, type, fence, visit, fix);
+    });
+  },
+
+  // Visits to this assignment's branches, pickup first
+  async getVisits(assignmentId) {
+    const userId = await getCurrentUserId();
+    if (!userId) return [];
+    const visits = await readJson(userKey(userId, VISITS_KEY), {});
+    return Object.values(visits)
+      .filter((v) => String(v.assignmentId) === String(assignmentId))
+      .sort((a, b) => (a.stop === b.stop ? 0 : a.stop === 'pickup' ? -1 : 1));
+  },
+
+  // The arrival waiting to be shown (it may have happened while the app was in the background).
+  // Reading it clears it.
+  async takePendingPrompt() {
+    const userId = await getCurrentUserId();
+    if (!userId) return null;
+    const prompt = await readJson(userKey(userId, PROMPT_KEY), null);
+    if (prompt) await AsyncStorage.removeItem(userKey(userId, PROMPT_KEY));
+    return prompt;
+  },
+
+  // listener(event) on every arrival and departure; returns the unsubscribe function
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default geofences;
@@ -0,0 +1,157 @@
+// Cleans up a stream of GPS fixes before lib/locationBuffer stores them. Pure JS with no app
+// imports, so a recorded trace can be replayed through filterTrace() outside the app (lib/__tests__).
+//
+// Each fix ({ latitude, longitude, accuracy, timestamp, ... }) goes through, in order:
+//   invalid       missing or non-numeric coordinates
+//   out_of_order  not newer than the last accepted fix
+//   inaccurate    reported accuracy worse than maxAccuracyM
+//   speed_jump    implied speed from the last accepted fix above maxSpeedMps
+//   (smoothing)   a simple Kalman filter pulls the position toward the track, weighted by accuracy;
+//                 the estimate is carried forward at the current velocity first, so a moving van is
+//                 not drawn behind its fixes
+//   stationary    still within stationaryRadiusM of the last emitted point (parked van)
+
+export const DEFAULT_GPS_FILTER = {
+  // Fixes reported less accurate than this (metres) are dropped
+  maxAccuracyM: 50,
+  // About 200 km/h; anything faster between two fixes is a glitch
+  maxSpeedMps: 55,
+  // After this many speed jumps in a row that agree with each other (plausible speed between them)
+  // the vehicle really is somewhere else: start over there
+  maxConsecutiveJumps: 3,
+  // How fast the true position is assumed to drift (m/s); higher follows the raw fixes more closely
+  processNoiseMps: 3,
+  // Floor for the reported accuracy, so a claimed 1 m fix does not override the whole track
+  minAccuracyM: 5,
+  // Points closer than this to the last emitted one are suppressed while parked...
+  stationaryRadiusM: 15,
+  // ...but one is still emitted this often, so the office sees the driver is alive
+  stationaryHeartbeatMs: 5 * 60000,
+};
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in metres between two { latitude, longitude }
+export const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const timeOf = (fix) => new Date(fix.timestamp).getTime();
+
+const isValid = (fix) => Number.isFinite(fix?.latitude) && Number.isFinite(fix?.longitude)
+  && Math.abs(fix.latitude) <= 90 && Math.abs(fix.longitude) <= 180
+  && Number.isFinite(timeOf(fix));
+
+// Returns { process(fix, overrides) -> { fix, reason }, reset() }. process returns fix (smoothed)
+// when the point should be kept, otherwise fix is null and reason names the step that dropped it.
+// overrides: { maxAccuracyM } for this fix only (recorded at a coarser accuracy setting).
+export const createGpsFilter = (options = {}) => {
+  const config = { ...DEFAULT_GPS_FILTER, ...options };
+  // Kalman state: smoothed position, its variance (m²), time and velocity (degrees/s, from the last
+  // two estimates). Latitude and longitude share the gain, which only depends on the variances, so
+  // no metre/degree conversion is needed.
+  let estimate = null;
+  let lastAccepted = null;
+  let lastEmitted = null;
+  // Consecutive fixes rejected as speed jumps that form a plausible track of their own
+  let jumped = [];
+
+  const reset = () => {
+    estimate = null;
+    lastAccepted = null;
+    lastEmitted = null;
+    jumped = [];
+  };
+
+  const speedBetween = (from, to) => {
+    const elapsedS = (timeOf(to) - timeOf(from)) / 1000;
+    return elapsedS > 0 ? distanceMeters(from, to) / elapsedS : Infinity;
+  };
+
+  const smooth = (fix, accuracy, at) => {
+    if (!estimate) {
+      estimate = { latitude: fix.latitude, longitude: fix.longitude, variance: accuracy ** 2, at, velocity: null };
+      return estimate;
+    }
+    const elapsedS = Math.max(0, (at - estimate.at) / 1000);
+    const { velocity } = estimate;
+    const predicted = {
+      latitude: estimate.latitude + (velocity ? velocity.latitude * elapsedS : 0),
+      longitude: estimate.longitude + (velocity ? velocity.longitude * elapsedS : 0),
+    };
+    const variance = estimate.variance + elapsedS * config.processNoiseMps ** 2;
+    const gain = variance / (variance + accuracy ** 2);
+    const latitude = predicted.latitude + gain * (fix.latitude - predicted.latitude);
+    const longitude = predicted.longitude + gain * (fix.longitude - predicted.longitude);
+    estimate = {
+      latitude,
+      longitude,
+      variance: (1 - gain) * variance,
+      at,
+      velocity: elapsedS > 0
+        ? { latitude: (latitude - estimate.latitude) / elapsedS, longitude: (longitude - estimate.longitude) / elapsedS }
+        : velocity,
+    };
+    return estimate;
+  };
+
+  const processFix = (fix, overrides = {}) => {
+    if (!isValid(fix)) return { fix: null, reason: 'invalid' };
+    const at = timeOf(fix);
+    if (lastAccepted && at <= timeOf(lastAccepted)) return { fix: null, reason: 'out_of_order' };
+
+    const maxAccuracyM = overrides.maxAccuracyM ?? config.maxAccuracyM;
+    const reported = Number.isFinite(fix.accuracy) ? fix.accuracy : null;
+    if (reported !== null && reported > maxAccuracyM) return { fix: null, reason: 'inaccurate' };
+    const accuracy = Math.max(reported ?? maxAccuracyM, config.minAccuracyM);
+
+    if (lastAccepted && speedBetween(lastAccepted, fix) > config.maxSpeedMps) {
+      // Unrelated glitches do not add up: a jump only extends the run when it is reachable from
+      // the previous jumped fix, otherwise it starts a new run
+      const previous = jumped[jumped.length - 1];
+      jumped = previous && speedBetween(previous, fix) <= config.maxSpeedMps ? [...jumped, fix] : [fix];
+      if (jumped.length < config.maxConsecutiveJumps) return { fix: null, reason: 'speed_jump' };
+      // Consistently somewhere else: the earlier track was the glitch
+      reset();
+    }
+    jumped = [];
+    lastAccepted = fix;
+
+    const smoothed = smooth(fix, accuracy, at);
+    const result = {
+      ...fix,
+      latitude: smoothed.latitude,
+      longitude: smoothed.longitude,
+      accuracy: Math.round(Math.sqrt(smoothed.variance) * 10) / 10,
+    };
+
+    if (lastEmitted
+      && distanceMeters(lastEmitted, result) < config.stationaryRadiusM
+      && at - timeOf(lastEmitted) < config.stationaryHeartbeatMs) {
+      return { fix: null, reason: 'stationary' };
+    }
+    lastEmitted = result;
+    return { fix: result, reason: null };
+  };
+
+  return { process: processFix, reset };
+};
+
+// Replay a recorded trace: { accepted: [fix], rejected: [{ fix, reason }] }
+export const filterTrace = (fixes, options) => {
+  const filter = createGpsFilter(options);
+  const accepted = [];
+  const rejected = [];
+  fixes.forEach((fix) => {
+    const { fix: kept, reason } = filter.process(fix);
+    if (kept) accepted.push(kept);
+    else rejected.push({ fix, reason });
+  });
+  return { accepted, rejected };
+};
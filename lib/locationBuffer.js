@@ -0,0 +1,331 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+import { api } from './api';
+import outbox from './outbox';
+import { userKey, getCurrentUserId, readJson, createExclusive } from './userStorage';
+import { createGpsFilter } from './gpsFilter';
+import { TRACKING_MODES } from './trackingPolicy';
+
+// GPS fixes on their way to /delivery-locations, shared by lib/tracking and the background
+// location task (lib/locationTask), which may run with no screen mounted or after the app was
+// restarted by the OS. Everything lives in AsyncStorage under the driver's namespace:
+//   tracking:active      { assignmentId, startedAt, mode }  which assignment new fixes belong to
+//                        and the lib/trackingPolicy mode they are recorded in
+//   tracking:fixes       [fix]                        recorded, not yet uploaded (oldest first)
+//   tracking:latest      fix                          most recent fix, for the UI
+//   tracking:lastUpload  ISO time                     last time the server took a batch
+// fix: { id, assignmentId, latitude, longitude, accuracy, heading, speed, timestamp, source, mode }
+//
+// Raw fixes pass through lib/gpsFilter first (inaccurate points, impossible jumps and parked
+// jitter never reach the buffer). extra.GPS_FILTER in app.json overrides its defaults.
+//
+// Uploads go out in batches (api.uploadDeliveryLocations) and fall back to one request per fix
+// on servers without the batch endpoint. fix.id travels as client_id, so a batch resent after a
+// lost response is not stored twice.
+
+const ACTIVE_KEY = 'tracking:active';
+const FIXES_KEY = 'tracking:fixes';
+const LATEST_KEY = 'tracking:latest';
+const LAST_UPLOAD_KEY = 'tracking:lastUpload';
+
+const UPLOAD_BATCH_SIZE = 50;
+// Fixes sent one by one per upload run when the batch endpoint is missing
+const SINGLE_UPLOAD_LIMIT = 25;
+// About 16 hours at one fix every 30s; beyond that the oldest fixes are dropped
+const MAX_BUFFERED_FIXES = 2000;
+
+const extra = Constants?.expoConfig?.extra || {};
+const GPS_FILTER_OPTIONS = extra.GPS_FILTER || {};
+
+let uploadPromise = null;
+let batchUnsupported = false;
+let lastError = null;
+let evicted = 0;
+// One filter per assignment, so each route is smoothed on its own
+const filters = new Map();
+const listeners = new Set();
+const rawListeners = new Set();
+const stateListeners = new Set();
+
+// The background task and the screens record into the same fix list
+const exclusive = createExclusive();
+
+const notify = (latest) => {
+  listeners.forEach((listener) => {
+    try { listener(latest); } catch (e) { console.warn('Location listener error:', e?.message || e); }
+  });
+};
+
+const notifyRaw = (fixes) => {
+  rawListeners.forEach((listener) => {
+    try { listener(fixes); } catch (e) { console.warn('Raw location listener error:', e?.message || e); }
+  });
+};
+
+const notifyState = async () => {
+  if (!stateListeners.size) return;
+  const state = await locationBuffer.getState();
+  stateListeners.forEach((listener) => {
+    try { listener(state); } catch (e) { console.warn('Location buffer listener error:', e?.message || e); }
+  });
+};
+
+const filterFor = (assignmentId) => {
+  if (!filters.has(assignmentId)) filters.set(assignmentId, createGpsFilter(GPS_FILTER_OPTIONS));
+  return filters.get(assignmentId);
+};
+
+// Same assignment and recording time: the OS delivered the same fix twice
+const sameFix = (a, b) => a.assignmentId === b.assignmentId && a.timestamp === b.timestamp;
+
+// expo-location LocationObject ({ coords, timestamp }) or plain coords -> fix
+const toFix = (location, assignmentId, source, mode) => {
+  const coords = location?.coords || location;
+  const recordedAt = location?.timestamp ? new Date(location.timestamp) : new Date();
+  return {
+    id: `${recordedAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    assignmentId,
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: coords.accuracy ?? null,
+    heading: coords.heading ?? null,
+    speed: coords.speed ?? null,
+    timestamp: recordedAt.toISOString(),
+    source,
+    mode: mode || null,
+  };
+};
+
+// Legacy outbox 'location' entries -> fixes, unfiltered: they were already sent-ready points
+const storeLegacyLocations = (userId) => (legacy) => exclusive(async () => {
+  const stored = await readJson(userKey(userId, FIXES_KEY), []);
+  const fixes = legacy
+    .filter((e) => e.payload?.latitude !== undefined)
+    .map((e) => ({
+      id: e.id,
+      assignmentId: String(e.assignmentId),
+      latitude: e.payload.latitude,
+      longitude: e.payload.longitude,
+      accuracy: e.payload.accuracy ?? null,
+      heading: e.payload.heading ?? null,
+      speed: e.payload.speed ?? null,
+      timestamp: e.payload.timestamp || e.createdAt,
+      source: 'legacy',
+      mode: null,
+    }))
+    .filter((fix) => !stored.some((s) => s.id === fix.id || sameFix(s, fix)));
+  if (!fixes.length) return;
+  const merged = [...stored, ...fixes].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  await AsyncStorage.setItem(userKey(userId, FIXES_KEY), JSON.stringify(merged.slice(-MAX_BUFFERED_FIXES)));
+});
+
+// Only a validation error says the fix itself is bad. Anything else (session, permissions, an
+// assignment the server does not know yet) may clear up, so the fixes stay buffered.
+const isRejectedFix = (error) => error?.status === 400 || error?.status === 422;
+
+// { done: Set of fix ids to remove, sent, failed: stopped before the end, the rest stays buffered }
+const sendBatch = async (batch) => {
+  try {
+    const result = await api.uploadDeliveryLocations(batch);
+    lastError = null;
+    const rejected = result?.rejected || [];
+    rejected.forEach((r) => console.warn(`❌ Location fix ${r.client_id} rejected:`, r.error));
+    return { done: new Set(batch.map((f) => f.id)), sent: batch.length - rejected.length, failed: false };
+  } catch (error) {
+    if (error?.status === 404 || error?.status === 405) {
+      console.log('Batch location upload not supported by the server, sending fixes one by one');
+      batchUnsupported = true;
+      return sendOneByOne(batch);
+    }
+    lastError = error?.message || String(error);
+    if (!isRejectedFix(error)) return { done: new Set(), sent: 0, failed: true };
+    // The whole batch was refused (e.g. a 400 over one bad point): send the fixes separately so
+    // only the ones the server refuses on their own are dropped
+    console.warn(`❌ Location batch of ${batch.length} rejected, sending fixes one by one:`, lastError);
+    return sendOneByOne(batch);
+  }
+};
+
+const sendOneByOne = async (batch) => {
+  const done = new Set();
+  let sent = 0;
+  for (const fix of batch) {
+    try {
+      await api.updateDeliveryLocation(fix.assignmentId, fix);
+      done.add(fix.id);
+      sent += 1;
+      lastError = null;
+    } catch (error) {
+      lastError = error?.message || String(error);
+      if (!isRejectedFix(error)) return { done, sent, failed: true };
+      console.warn(`❌ Location fix for assignment ${fix.assignmentId} rejected:`, lastError);
+      done.add(fix.id);
+    }
+  }
+  return { done, sent, failed: false };
+};
+
+const locationBuffer = {
+  async setActiveAssignment(assignmentId) {
+    const userId = await getCurrentUserId();
+    if (!userId || !assignmentId) return;
+    const current = await readJson(userKey(userId, ACTIVE_KEY), null);
+    if (current && String(current.assignmentId) === String(assignmentId)) return;
+    await AsyncStorage.setItem(userKey(userId, ACTIVE_KEY), JSON.stringify({
+      assignmentId: String(assignmentId),
+      startedAt: new Date().toISOString(),
+      mode: current?.mode || null,
+    }));
+  },
+
+  // Tracking mode stamped on fixes from now on, including ones the background task records
+  async setTrackingMode(mode) {
+    const userId = await getCurrentUserId();
+    if (!userId) return;
+    const current = await readJson(userKey(userId, ACTIVE_KEY), null);
+    if (!current || current.mode === mode) return;
+    await AsyncStorage.setItem(userKey(userId, ACTIVE_KEY), JSON.stringify({ ...current, mode }));
+  },
+
+  async getActiveAssignment() {
+    const userId = await getCurrentUserId();
+    return userId ? readJson(userKey(userId, ACTIVE_KEY), null) : null;
+  },
+
+  // Only clears when it still points at assignmentId (another assignment may have taken over)
+  async clearActiveAssignment(assignmentId) {
+    const userId = await getCurrentUserId();
+    if (!userId) return;
+    const active = await readJson(userKey(userId, ACTIVE_KEY), null);
+    if (active && (assignmentId === undefined || String(active.assignmentId) === String(assignmentId))) {
+      filters.delete(String(active.assignmentId));
+      await AsyncStorage.removeItem(userKey(userId, ACTIVE_KEY));
+    }
+  },
+
+  // Store one or more fixes for assignmentId (defaults to the active assignment). Resolves the stored fixes.
+  record(locations, { assignmentId, source = 'foreground' } = {}) {
+    return exclusive(async () => {
+      const userId = await getCurrentUserId();
+      if (!userId) return [];
+      const active = await readJson(userKey(userId, ACTIVE_KEY), null);
+      const target = assignmentId ?? active?.assignmentId;
+      if (!target) return [];
+      const stored = await readJson(userKey(userId, FIXES_KEY), []);
+      const filter = filterFor(String(target));
+      const dropped = {};
+      const raw = (Array.isArray(locations) ? locations : [locations])
+        .filter((l) => (l?.coords || l)?.latitude !== undefined)
+        .map((l) => toFix(l, String(target), source, active?.mode))
+        .filter((fix) => !stored.some((s) => sameFix(s, fix)));
+      if (raw.length) notifyRaw(raw);
+      const fixes = raw
+        .map((fix) => {
+          // Coarse modes (lib/trackingPolicy) accept the accuracy they asked the OS for
+          const { fix: kept, reason } = filter.process(fix, { maxAccuracyM: TRACKING_MODES[fix.mode]?.maxAccuracyM });
+          if (reason) dropped[reason] = (dropped[reason] || 0) + 1;
+          return kept;
+        })
+        .filter(Boolean);
+      if (Object.keys(dropped).length) console.log('📍 GPS filter dropped:', JSON.stringify(dropped));
+      if (!fixes.length) return [];
+      let kept = [...stored, ...fixes];
+      if (kept.length > MAX_BUFFERED_FIXES) {
+        const overflow = kept.length - MAX_BUFFERED_FIXES;
+        kept = kept.slice(overflow);
+        evicted += overflow;
+        console.warn(`⚠️ Location buffer full, dropped the ${overflow} oldest fix(es)`);
+      }
+      const latest = fixes[fixes.length - 1];
+      await AsyncStorage.multiSet([
+        [userKey(userId, FIXES_KEY), JSON.stringify(kept)],
+        [userKey(userId, LATEST_KEY), JSON.stringify(latest)],
+      ]);
+      notify(latest);
+      notifyState();
+      return fixes;
+    });
+  },
+
+  async getLatestFix(assignmentId) {
+    const userId = await getCurrentUserId();
+    if (!userId) return null;
+    const latest = await readJson(userKey(userId, LATEST_KEY), null);
+    if (assignmentId !== undefined && latest && String(latest.assignmentId) !== String(assignmentId)) return null;
+    return latest;
+  },
+
+  // listener(fix) on every recorded fix; returns the unsubscribe function
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // listener([fix]) with every batch of fixes as reported, before lib/gpsFilter; for movement
+  // detection only (lib/tracking), these may be inaccurate or glitches
+  subscribeRaw(listener) {
+    rawListeners.add(listener);
+    return () => rawListeners.delete(listener);
+  },
+
+  // listener({ pending, lastUploadAt, lastError, evicted }) after every record and upload
+  subscribeState(listener) {
+    stateListeners.add(listener);
+    locationBuffer.getState().then((state) => {
+      if (stateListeners.has(listener)) listener(state);
+    });
+    return () => stateListeners.delete(listener);
+  },
+
+  // evicted: fixes dropped by the size cap since the app started
+  async getState() {
+    const userId = await getCurrentUserId();
+    if (!userId) return { pending: 0, lastUploadAt: null, lastError, evicted };
+    const [fixes, lastUploadAt] = await Promise.all([
+      readJson(userKey(userId, FIXES_KEY), []),
+      readJson(userKey(userId, LAST_UPLOAD_KEY), null),
+    ]);
+    return { pending: fixes.length, lastUploadAt, lastError, evicted };
+  },
+
+  // Send buffered fixes oldest first with their original timestamps, batch after batch until the
+  // buffer is empty. Stops at the first failure that is not a validation error (no signal, server
+  // down, session or assignment problems) and keeps the rest; fixes the server rejects as invalid
+  // (400/422) are dropped. Resolves the number of fixes delivered.
+  upload() {
+    if (uploadPromise) return uploadPromise;
+    uploadPromise = (async () => {
+      const userId = await getCurrentUserId();
+      if (!userId) return 0;
+      await outbox.drainLegacyLocations(storeLegacyLocations(userId))
+        .catch((e) => console.warn('Moving queued location points failed:', e?.message || e));
+      let delivered = 0;
+      for (;;) {
+        const stored = await readJson(userKey(userId, FIXES_KEY), []);
+        if (!stored.length) break;
+        const { done, sent, failed } = batchUnsupported
+          ? await sendOneByOne(stored.slice(0, SINGLE_UPLOAD_LIMIT))
+          : await sendBatch(stored.slice(0, UPLOAD_BATCH_SIZE));
+        if (done.size) {
+          await exclusive(async () => {
+            const current = await readJson(userKey(userId, FIXES_KEY), []);
+            const pairs = [[userKey(userId, FIXES_KEY), JSON.stringify(current.filter((f) => !done.has(f.id)))]];
+            if (sent) pairs.push([userKey(userId, LAST_UPLOAD_KEY), JSON.stringify(new Date().toISOString())]);
+            await AsyncStorage.multiSet(pairs);
+          });
+        }
+        delivered += sent;
+        // One-by-one runs are capped so a long backlog does not hold the upload for minutes
+        if (failed || !done.size || batchUnsupported) break;
+      }
+      if (delivered) console.log(`📍 Uploaded ${delivered} location fix(es)`);
+      return delivered;
+    })().finally(() => {
+      uploadPromise = null;
+      notifyState();
+    });
+    return uploadPromise;
+  },
+};
+
+export default locationBuffer;
@@ -0,0 +1,65 @@
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import locationBuffer from './locationBuffer';
+import geofences from './geofence';
+import trips from './tripRecorder';
+
+// The background location task and a single switch to stop every kind of tracking.
+// Android tracks through the task below; iOS (and any screen-level watcher) registers a stop
+// function while it runs, so logout can end tracking without knowing which screen started it.
+// The task may run with no screen mounted (or in a fresh JS context after the OS restarted the
+// app), so it takes the assignment from lib/locationBuffer's persisted state, not from React,
+// checks branch arrivals against lib/geofence's persisted fences and extends lib/tripRecorder's trips.
+
+export const LOCATION_TASK_NAME = 'background-location-task';
+
+const foregroundTrackers = new Set();
+
+// stop() is called by stopAllTracking; the returned function unregisters it
+export const registerForegroundTracker = (stop) => {
+  foregroundTrackers.add(stop);
+  return () => foregroundTrackers.delete(stop);
+};
+
+export const stopLocationUpdates = async () => {
+  try {
+    if (await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK_NAME)) {
+      await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
+      console.log('🛑 Background location updates stopped');
+    }
+  } catch (e) {
+    console.warn('Stopping background location failed:', e?.message || e);
+  }
+};
+
+export const stopAllTracking = async () => {
+  await Promise.all([...foregroundTrackers].map(async (stop) => {
+    try { await stop(); } catch (e) { console.warn('Stopping tracker failed:', e?.message || e); }
+  }));
+  foregroundTrackers.clear();
+  await stopLocationUpdates();
+};
+
+TaskManager.defineTask(LOCATION_TASK_NAME, async ({ data, error }) => {
+  if (error) {
+    console.error('Location task error:', error);
+    return;
+  }
+  const locations = data?.locations || [];
+  if (!locations.length) return;
+  try {
+    const active = await locationBuffer.getActiveAssignment();
+    if (!active) {
+      // Left running by a previous session; nothing to attribute the fixes to
+      console.log('Background location update with no active assignment, stopping updates');
+      await stopLocationUpdates();
+      return;
+    }
+    const recorded = await locationBuffer.record(locations, { assignmentId: active.assignmentId, source: 'background' });
+    await geofences.check(recorded);
+    await trips.record(recorded);
+    await locationBuffer.upload();
+  } catch (e) {
+    console.warn('Background location handling failed:', e?.message || e);
+  }
+});
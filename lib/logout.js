@@ -0,0 +1,29 @@
+import { api } from './api';
+import outbox from './outbox';
+import realtime from './realtime';
+import { clearUserCache } from './cache';
+import { purgeCapturedPhotos } from './photos';
+import { stopAllTracking } from './locationTask';
+import tracking from './tracking';
+
+// The one logout pipeline (AuthContext.logout calls it; screens never clear storage themselves).
+// Order matters: tracking and realtime stop first so nothing new is written for this user, the
+// server revokes the tokens while they are still stored, then local state is removed.
+//
+// discardOutbox: drop this user's unsent entries. Otherwise they stay in the user's own queue
+// (lib/userStorage) and sync the next time the same user logs in on this device.
+export const performLogout = async ({ userId, discardOutbox = false } = {}) => {
+  tracking.stop();
+  await stopAllTracking();
+  realtime.stop();
+
+  if (discardOutbox) await outbox.clear();
+
+  // Revokes the access and refresh token server-side, then clears them locally even when offline
+  await api.logout();
+
+  if (userId) await clearUserCache(String(userId));
+  await purgeCapturedPhotos({ keep: await outbox.referencedFiles() });
+
+  console.log('✅ Logout complete');
+};
@@ -0,0 +1,232 @@
+// Request pipeline for lib/api.js. Every JSON and multipart call builds a context and runs
+// through the same chain of middleware, each an object with any of:
+//   beforeRequest(ctx)            may change ctx.url / ctx.headers / ctx.body; throw to abort
+//   afterResponse(ctx, response)  may return a replacement response, e.g. ctx.replay() (see
+//                                 runPass); throw to fail the call
+//   onError(ctx, error)           may return { retryAfterMs } to try again, or an Error to
+//                                 replace the one passed to the middleware after it
+// Hooks run in registration order. response is { ok, status, headers, text, data } with the
+// body already read, so every middleware can look at it.
+
+import { getTransport } from './transport';
+import {
+  sleep,
+  parseRetryAfter,
+  retryDelayFor,
+  checkCircuit,
+  recordSuccess,
+  recordFailure,
+} from './resilience';
+import { ApiError, NetworkError, TimeoutError, createHttpError } from './errors';
+
+export const tagError = (error, tags) => Object.assign(error, tags);
+
+export const createPipeline = () => {
+  const middleware = [];
+
+  const use = (mw) => {
+    middleware.push(mw);
+    return () => {
+      const index = middleware.indexOf(mw);
+      if (index !== -1) middleware.splice(index, 1);
+    };
+  };
+
+  const send = async (ctx) => {
+    const transport = getTransport();
+    let raw;
+    try {
+      raw = await (ctx.upload ? transport.upload : transport.request)(ctx.url, {
+        method: ctx.method,
+        headers: ctx.headers,
+        body: ctx.body,
+        signal: ctx.signal,
+        onUploadProgress: ctx.onUploadProgress && ((progress) => ctx.onUploadProgress({ ...progress, attempt: ctx.attempt })),
+      });
+    } catch (error) {
+      // Lets middleware tell "never reached the server" apart from errors raised by other middleware
+      ctx.meta.sendFailed = true;
+      if (error?.name === 'AbortError') throw error;
+      throw tagError(error, { isNetworkError: true });
+    }
+    const text = await raw.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch {}
+    return { ok: raw.ok, status: raw.status, headers: raw.headers, text, data };
+  };
+
+  // One pass through chain[from..], starting from the given headers. Inside afterResponse,
+  // ctx.replay() resends the request (e.g. auth after a token refresh, with fresh headers) through
+  // the calling middleware and those after it only: the ones before it have already handled this
+  // attempt, so timing, logging and the circuit breaker see the call once. The replay's response
+  // is final for the pass.
+  const runPass = async (ctx, chain, from, headers) => {
+    ctx.headers = { ...headers };
+    ctx.meta.sendFailed = false;
+    const headersBefore = [];
+    for (let i = from; i < chain.length; i += 1) {
+      headersBefore[i] = { ...ctx.headers };
+      if (chain[i].beforeRequest) await chain[i].beforeRequest(ctx);
+    }
+    let response = await send(ctx);
+    for (let i = from; i < chain.length; i += 1) {
+      if (!chain[i].afterResponse) continue;
+      let replayed = null;
+      ctx.replay = () => {
+        replayed = runPass(ctx, chain, i, headersBefore[i]);
+        return replayed;
+      };
+      const replacement = await chain[i].afterResponse(ctx, response);
+      if (replayed) return replacement || replayed;
+      response = replacement || response;
+    }
+    return response;
+  };
+
+  const attemptOnce = (ctx) => runPass(ctx, [...middleware], 0, ctx.initialHeaders);
+
+  const handleError = async (ctx, error) => {
+    let current = error;
+    for (const mw of [...middleware]) {
+      if (!mw.onError) continue;
+      const outcome = await mw.onError(ctx, current);
+      if (outcome && typeof outcome.retryAfterMs === 'number') return { retryAfterMs: outcome.retryAfterMs };
+      if (outcome instanceof Error) current = outcome;
+    }
+    return { error: current };
+  };
+
+  // init: { url, endpoint, method, headers, body, upload, signal, timeoutMs, deadline, retryPolicy,
+  //         auth, skipAuthRefresh, onUploadProgress }; deadline is when signal aborts (ms since
+  //         epoch). Resolves the response or throws the mapped error.
+  const execute = async (init) => {
+    const ctx = {
+      ...init,
+      initialHeaders: init.headers || {},
+      attempt: 0,
+      meta: {},
+    };
+    let delay = null;
+    for (;;) {
+      try {
+        if (delay !== null) {
+          ctx.meta.sendFailed = false;
+          await sleep(delay, ctx.signal);
+          ctx.attempt += 1;
+        }
+        return await attemptOnce(ctx);
+      } catch (error) {
+        const outcome = await handleError(ctx, error);
+        if (outcome.error) throw outcome.error;
+        delay = outcome.retryAfterMs;
+      }
+    }
+  };
+
+  return { use, execute, list: () => [...middleware] };
+};
+
+// ---- Built-in middleware ----
+
+// Wall-clock time per attempt; the most recent entries are kept for the diagnostics panel
+export const createTimingMiddleware = ({ limit = 50 } = {}) => {
+  const entries = [];
+  const record = (ctx, fields) => {
+    ctx.meta.timed = true;
+    entries.unshift({
+      method: ctx.method,
+      endpoint: ctx.endpoint,
+      attempt: ctx.attempt,
+      ms: Date.now() - ctx.meta.startedAt,
+      at: new Date().toISOString(),
+      ...fields,
+    });
+    entries.length = Math.min(entries.length, limit);
+  };
+  return {
+    name: 'timing',
+    beforeRequest: (ctx) => {
+      ctx.meta.startedAt = Date.now();
+      ctx.meta.timed = false;
+    },
+    afterResponse: (ctx, response) => { record(ctx, { status: response.status, ok: response.ok }); },
+    onError: (ctx, error) => {
+      if (ctx.meta.startedAt && !ctx.meta.timed) record(ctx, { status: error?.status ?? null, ok: false, error: error?.message || String(error) });
+    },
+    entries: () => [...entries],
+  };
+};
+
+export const loggingMiddleware = {
+  name: 'logging',
+  beforeRequest: (ctx) => {
+    console.log(ctx.upload ? `📤 API Upload: ${ctx.url}` : `🔄 API Call: ${ctx.url}`);
+  },
+  onError: (ctx, error) => {
+    console.error('❌ API Request Failed:', { url: ctx.url, attempt: ctx.attempt + 1, error: error?.message || String(error) });
+  },
+};
+
+// Every send goes through the host's circuit breaker (see lib/resilience)
+export const circuitBreakerMiddleware = {
+  name: 'circuitBreaker',
+  beforeRequest: (ctx) => checkCircuit(ctx.url),
+  afterResponse: (ctx, response) => {
+    // Gateway errors mean the host is unhealthy, same as a dropped connection
+    if ([502, 503, 504].includes(response.status)) recordFailure(ctx.url);
+    else recordSuccess(ctx.url);
+  },
+  onError: (ctx) => {
+    // Includes timeouts, so a half-open probe that hangs re-opens the circuit
+    if (ctx.meta.sendFailed) recordFailure(ctx.url);
+  },
+};
+
+// Non-2xx becomes a typed error (see lib/errors) carrying status, server code, field errors
+// and any Retry-After hint
+export const httpErrorMiddleware = {
+  name: 'httpErrors',
+  afterResponse: (ctx, response) => {
+    if (response.ok) return;
+    throw createHttpError(response, {
+      retryAfterMs: parseRetryAfter(response.headers?.get?.('Retry-After')),
+    });
+  },
+};
+
+// Retries follow ctx.retryPolicy (see resolveRetryPolicy); a call without one is never retried.
+// A wait that would run past ctx.deadline is not started: the call fails now with the server's
+// error (e.g. the 429 and its Retry-After) instead of timing out in the middle of the sleep.
+export const retryMiddleware = {
+  name: 'retry',
+  onError: (ctx, error) => {
+    if (!ctx.retryPolicy || ctx.signal?.aborted) return null;
+    const delay = retryDelayFor(error, ctx.attempt, ctx.retryPolicy);
+    if (delay === null) return null;
+    if (ctx.deadline && Date.now() + delay >= ctx.deadline) {
+      console.log(`⏹️ Not retrying ${ctx.method} ${ctx.endpoint}: a ${delay}ms wait would pass the request deadline`);
+      return null;
+    }
+    console.log(`🔁 Retrying ${ctx.method} ${ctx.endpoint} in ${delay}ms (attempt ${ctx.attempt + 2}/${ctx.retryPolicy.retries + 1}): ${error?.message || error}`);
+    return { retryAfterMs: delay };
+  },
+};
+
+// Turn low-level failures into NetworkError / TimeoutError so screens never see raw fetch errors
+export const createErrorMappingMiddleware = ({ baseUrl }) => ({
+  name: 'errorMapping',
+  onError: (ctx, error) => {
+    if (error instanceof ApiError) return null;
+    if (error?.name === 'AbortError') {
+      return new TimeoutError(`Request timed out (${ctx.timeoutMs / 1000}s) contacting ${baseUrl()}.`);
+    }
+    if (error?.circuitOpen) {
+      // Already worded for the driver by lib/resilience
+      return new NetworkError(error.message, { circuitOpen: true, userMessage: error.message });
+    }
+    if (error?.isNetworkError) {
+      return new NetworkError(`Cannot connect to server at ${baseUrl()}: ${error.message || 'Network request failed'}`);
+    }
+    return null;
+  },
+});
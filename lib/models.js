@@ -0,0 +1,207 @@
+// Normalization of server payloads into stable client models.
+// The backend is inconsistent about envelopes ({ success, data } vs bare values), number types
+// (amounts arrive as strings) and date formats, so every response passes through here before a
+// screen sees it. Field names keep the backend's vocabulary; values get predictable types.
+
+export const ASSIGNMENT_STATUSES = ['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+export const ASSIGNMENT_TYPES = ['ITEM_TRANSFER', 'CAPITAL_DELIVERY', 'BALANCE_DELIVERY'];
+
+// Structural mismatches (wrong shape entirely) are thrown; per-field problems are only logged
+export const schemaError = (model, problems) => Object.assign(
+  new Error(`Unexpected ${model} response from server: ${problems.join('; ')}`),
+  { isSchemaError: true, model, problems }
+);
+
+const warn = (model, id, problems) => {
+  if (problems.length) console.warn(`⚠️ ${model} ${id ?? '?'} schema mismatch:`, problems.join('; '));
+};
+
+// { success: true, data: X } / { data: X } / X  ->  X
+export const unwrap = (res) => {
+  if (res && typeof res === 'object' && !Array.isArray(res) && 'data' in res) {
+    if (res.success === false) {
+      throw new Error(res.message || res.error || 'Request was not successful');
+    }
+    return res.data;
+  }
+  return res;
+};
+
+const toNumber = (value, field, problems) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+  if (Number.isNaN(n)) {
+    problems.push(`${field} is not numeric (${JSON.stringify(value)})`);
+    return null;
+  }
+  return n;
+};
+
+const toDate = (value, field, problems) => {
+  if (value === undefined || value === null || value === '') return null;
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    problems.push(`${field} is not a valid date (${JSON.stringify(value)})`);
+    return null;
+  }
+  return d;
+};
+
+const toStatus = (value, problems) => {
+  const status = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (!ASSIGNMENT_STATUSES.includes(status)) {
+    problems.push(`status ${JSON.stringify(value)} is not one of ${ASSIGNMENT_STATUSES.join(', ')}`);
+    return status || 'UNKNOWN';
+  }
+  return status;
+};
+
+// Items come as an array, a JSON string, or not at all
+const toItems = (value, problems) => {
+  let list = value;
+  if (typeof list === 'string') {
+    try { list = JSON.parse(list); } catch { problems.push('items is not valid JSON'); list = []; }
+  }
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    problems.push('items is not a list');
+    return [];
+  }
+  return list.map((item, index) => ({
+    ...item,
+    name: item?.name || item?.item_name || `Item ${index + 1}`,
+    quantity: toNumber(item?.quantity, `items[${index}].quantity`, problems) ?? 1,
+  }));
+};
+
+// Summary of the delivery leg sent with the dropoff (lib/tripRecorder's summarizeTrip); the server
+// may echo it back as the JSON string it received
+const toTripSummary = (value, problems) => {
+  let summary = value;
+  if (typeof summary === 'string') {
+    try { summary = JSON.parse(summary); } catch { problems.push('trip_summary is not valid JSON'); return null; }
+  }
+  if (summary === undefined || summary === null || summary === '') return null;
+  if (typeof summary !== 'object' || Array.isArray(summary)) {
+    problems.push('trip_summary is not an object');
+    return null;
+  }
+  if (summary.stops !== undefined && summary.stops !== null && !Array.isArray(summary.stops)) {
+    problems.push('trip_summary.stops is not a list');
+  }
+  return {
+    ...summary,
+    distanceM: toNumber(summary.distanceM, 'trip_summary.distanceM', problems) ?? 0,
+    durationSeconds: toNumber(summary.durationSeconds, 'trip_summary.durationSeconds', problems) ?? 0,
+    movingSeconds: toNumber(summary.movingSeconds, 'trip_summary.movingSeconds', problems) ?? 0,
+    idleSeconds: toNumber(summary.idleSeconds, 'trip_summary.idleSeconds', problems) ?? 0,
+    averageSpeedKmh: toNumber(summary.averageSpeedKmh, 'trip_summary.averageSpeedKmh', problems) ?? 0,
+    stops: Array.isArray(summary.stops)
+      ? summary.stops.filter((stop) => stop && typeof stop === 'object').map((stop, index) => ({
+        ...stop,
+        durationSeconds: toNumber(stop.durationSeconds, `trip_summary.stops[${index}].durationSeconds`, problems) ?? 0,
+      }))
+      : [],
+  };
+};
+
+export const normalizeAssignment = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw schemaError('assignment', [`expected an object, got ${Array.isArray(raw) ? 'a list' : typeof raw}`]);
+  }
+  const problems = [];
+  const assignmentId = toNumber(raw.assignment_id ?? raw.id, 'assignment_id', problems);
+  if (assignmentId === null) throw schemaError('assignment', ['assignment_id is missing']);
+  if (raw.assignment_type && !ASSIGNMENT_TYPES.includes(raw.assignment_type)) {
+    problems.push(`assignment_type ${JSON.stringify(raw.assignment_type)} is not recognised`);
+  }
+  const model = {
+    ...raw,
+    assignment_id: assignmentId,
+    status: toStatus(raw.status, problems),
+    amount: toNumber(raw.amount, 'amount', problems),
+    due_date: toDate(raw.due_date, 'due_date', problems),
+    created_at: toDate(raw.created_at, 'created_at', problems),
+    updated_at: toDate(raw.updated_at, 'updated_at', problems),
+    items: toItems(raw.items, problems),
+    trip_summary: toTripSummary(raw.trip_summary, problems),
+  };
+  warn('assignment', assignmentId, problems);
+  return model;
+};
+
+// { latitude, longitude } of an assignment's pickup ('from') or dropoff ('to') branch, or null
+// when the server did not send usable coordinates
+export const branchLocation = (assignment, end) => {
+  const problems = [];
+  const latitude = toNumber(assignment?.[`${end}_branch_latitude`], `${end}_branch_latitude`, problems);
+  const longitude = toNumber(assignment?.[`${end}_branch_longitude`], `${end}_branch_longitude`, problems);
+  if (latitude === null || longitude === null) return null;
+  return { latitude, longitude };
+};
+
+// Where the driver is heading next: the pickup branch until pickup, then the dropoff branch
+export const nextDestination = (assignment) => {
+  if (assignment?.status === 'ASSIGNED') return branchLocation(assignment, 'from');
+  if (assignment?.status === 'IN_PROGRESS') return branchLocation(assignment, 'to');
+  return null;
+};
+
+export const normalizeCompletedDelivery = (raw) => {
+  const model = normalizeAssignment(raw);
+  const problems = [];
+  const normalized = {
+    ...model,
+    assignment_date: toDate(raw.assignment_date, 'assignment_date', problems),
+    delivered_at: toDate(raw.delivered_at, 'delivered_at', problems),
+  };
+  warn('completed delivery', model.assignment_id, problems);
+  return normalized;
+};
+
+// List endpoints: a bare array, or one wrapped in { data } / { assignments }.
+// Entries that cannot be normalized are dropped (and logged) rather than failing the whole list.
+const normalizeList = (model, normalizeItem) => (res) => {
+  let list = unwrap(res);
+  if (list && !Array.isArray(list) && Array.isArray(list.assignments)) list = list.assignments;
+  if (list === null || list === undefined) return [];
+  if (!Array.isArray(list)) throw schemaError(`${model} list`, [`expected a list, got ${typeof list}`]);
+  return list.reduce((out, raw) => {
+    try {
+      out.push(normalizeItem(raw));
+    } catch (e) {
+      console.warn(`⚠️ Skipping ${model}:`, e?.message || e);
+    }
+    return out;
+  }, []);
+};
+
+export const normalizeAssignmentList = normalizeList('assignment', normalizeAssignment);
+export const normalizeCompletedDeliveryList = normalizeList('completed delivery', normalizeCompletedDelivery);
+
+export const normalizeProfile = (res) => {
+  const raw = unwrap(res);
+  const profile = raw?.user && typeof raw.user === 'object' ? raw.user : raw;
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw schemaError('profile', [`expected an object, got ${typeof profile}`]);
+  }
+  const problems = [];
+  const model = {
+    ...profile,
+    id: toNumber(profile.id ?? profile.Account_id, 'id', problems),
+    fullname: profile.fullname ?? profile.Fullname ?? null,
+    username: profile.username ?? profile.Username ?? null,
+    email: profile.email ?? profile.Email ?? null,
+    role: profile.role ?? profile.Role ?? null,
+    employeeId: profile.employeeId ?? profile.EmployeeID ?? null,
+    contact: profile.contact ?? profile.Contact ?? null,
+    address: profile.address ?? profile.Address ?? null,
+    branchId: toNumber(profile.branchId ?? profile.BranchID, 'branchId', problems),
+    branchName: profile.branchName ?? null,
+    branchCode: profile.branchCode ?? null,
+    photo: profile.photo ?? profile.Photo ?? null,
+  };
+  if (model.id === null) problems.push('id is missing');
+  warn('profile', model.id, problems);
+  return model;
+};
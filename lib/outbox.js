@@ -0,0 +1,340 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import { api } from './api';
+import { userKey, getCurrentUserId } from './userStorage';
+
+// Durable queue for mutations made while the driver has no signal.
+// Entries are persisted to AsyncStorage and replayed in order once connectivity returns.
+// Photos are kept as their local file URI, which the multipart upload re-reads on replay.
+// Each driver has their own queue (see userStorage); at shift handover the outgoing driver can
+// pass unsent entries on, and whoever logs in next adopts them.
+
+const OUTBOX_KEY = 'outbox';
+// Single queue from before entries were kept per user; adopted by the first user to log in
+const LEGACY_OUTBOX_KEY = 'outbox';
+const HANDOVER_KEY = 'outbox:handover';
+const RETRY_INTERVAL_MS = 60000;
+
+// How each entry type is replayed against the API (options such as onProgress are never persisted).
+// An entry recorded by another driver (adopted at shift handover) is sent under the current
+// session but names its recordedBy account, so the server files the proof under whoever made it.
+const handlers = {
+  status: (entry) => api.updateDeliveryStatus(entry.assignmentId, entry.payload.status, entry.payload.notes, { recordedBy: recordedByOf(entry) }),
+  verifyPickup: (entry, options) => api.verifyPickupMultipart(entry.assignmentId, entry.payload, { ...options, recordedBy: recordedByOf(entry) }),
+  verifyDropoff: (entry, options) => api.verifyDropoffMultipart(entry.assignmentId, entry.payload, { ...options, recordedBy: recordedByOf(entry) }),
+  geofence: (entry) => api.recordAssignmentEvent(entry.assignmentId, entry.payload, { recordedBy: recordedByOf(entry) }),
+};
+
+let entries = [];
+// GPS points queued as 'location' entries before lib/locationBuffer took over; kept out of the
+// queue and stored alongside it until drainLegacyLocations() hands them to the buffer
+let legacyLocations = [];
+// Account whose queue is loaded; undefined until known (read from the stored session on first load)
+let userId;
+let loadPromise = null;
+let flushPromise = null;
+let online = true;
+let lastError = null;
+let lastSyncedAt = null;
+let started = false;
+
+// The account an entry is sent on behalf of, when it is not the one logged in
+const recordedByOf = (entry) => (entry.recordedBy && entry.recordedBy !== userId ? entry.recordedBy : null);
+// The session expired mid-flush: entries wait for the next login instead of retrying on a timer
+let awaitingLogin = false;
+const listeners = new Set();
+
+// Offline, timed out, server unavailable or session expired: keep the entry and try later
+// (after an expired session, once the driver has logged in again; see flush and setUser).
+// Anything else (validation, conflict, not found) will never succeed as-is and is marked failed.
+const isTransientError = (error) => {
+  if (!error) return false;
+  if (error.isNetworkError || error.sessionExpired) return true;
+  const status = error.status || Number(/^HTTP (\d{3})/.exec(error.message || '')?.[1]);
+  if (status) return status >= 500 || status === 408 || status === 429;
+  return /Network request failed|timed out|Cannot connect/i.test(error.message || '');
+};
+
+const getState = () => ({
+  userId: userId || null,
+  items: entries,
+  pending: entries.filter((e) => e.state === 'pending').length,
+  failed: entries.filter((e) => e.state === 'failed').length,
+  syncing: !!flushPromise,
+  online,
+  awaitingLogin,
+  lastError,
+  lastSyncedAt,
+});
+
+const notify = () => {
+  const state = getState();
+  listeners.forEach((listener) => {
+    try { listener(state); } catch (e) { console.warn('Outbox listener error:', e?.message || e); }
+  });
+};
+
+const readEntries = async (key) => {
+  const raw = await AsyncStorage.getItem(key);
+  return raw ? JSON.parse(raw) : [];
+};
+
+// Entries left by the legacy single queue or handed over by the previous driver join this user's queue
+const adoptSharedEntries = async () => {
+  const [legacy, handedOver] = await Promise.all([readEntries(LEGACY_OUTBOX_KEY), readEntries(HANDOVER_KEY)]);
+  const adopted = [...legacy, ...handedOver].filter((e) => e && e.id && !entries.some((x) => x.id === e.id));
+  if (!adopted.length) return;
+  entries = [...adopted, ...entries].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  await AsyncStorage.setItem(userKey(userId, OUTBOX_KEY), JSON.stringify(entries));
+  await AsyncStorage.multiRemove([LEGACY_OUTBOX_KEY, HANDOVER_KEY]);
+  console.log(`📥 Adopted ${adopted.length} outbox entr${adopted.length === 1 ? 'y' : 'ies'} from a previous shift`);
+};
+
+const load = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        if (userId === undefined) {
+          const stored = await getCurrentUserId();
+          if (userId === undefined) userId = stored;
+        }
+        const id = userId;
+        const restored = id ? await readEntries(userKey(id, OUTBOX_KEY)) : [];
+        // setUser() switched accounts meanwhile; its own load is the one that counts
+        if (id !== userId) return;
+        entries = restored;
+        if (id) await adoptSharedEntries();
+        legacyLocations = entries.filter((e) => e.type === 'location');
+        entries = entries.filter((e) => e.type !== 'location');
+      } catch (e) {
+        console.warn('Outbox restore failed:', e?.message || e);
+        entries = [];
+        legacyLocations = [];
+      }
+      notify();
+    })();
+  }
+  return loadPromise;
+};
+
+const persist = async () => {
+  try {
+    if (userId) await AsyncStorage.setItem(userKey(userId, OUTBOX_KEY), JSON.stringify([...legacyLocations, ...entries]));
+    else console.warn('Outbox has no logged-in user; entries are kept in memory only');
+  } catch (e) {
+    console.warn('Outbox persist failed:', e?.message || e);
+  }
+  notify();
+};
+
+const outbox = {
+  // Wire up connectivity/foreground listeners; safe to call more than once
+  start() {
+    if (started) return;
+    started = true;
+    load().then(() => outbox.flush());
+    NetInfo.addEventListener((net) => {
+      const wasOnline = online;
+      online = !!net.isConnected && net.isInternetReachable !== false;
+      if (online && !wasOnline) {
+        console.log('📶 Connectivity restored, syncing outbox');
+        outbox.flush();
+      } else if (wasOnline !== online) {
+        notify();
+      }
+    });
+    AppState.addEventListener('change', (next) => {
+      if (next === 'active') outbox.flush();
+    });
+    setInterval(() => {
+      if (online && !awaitingLogin && entries.some((e) => e.state === 'pending')) outbox.flush();
+    }, RETRY_INTERVAL_MS);
+  },
+
+  getState,
+
+  // Switch to another account's queue (login, logout, shift handover). Nothing is sent across:
+  // the previous user's entries stay under their own key until they log in again or hand them over.
+  async setUser(nextUserId) {
+    const id = nextUserId ? String(nextUserId) : null;
+    if (id === userId && loadPromise) {
+      // Logged in again after the session expired: what was held back goes now
+      if (id && awaitingLogin) {
+        awaitingLogin = false;
+        lastError = null;
+        if (online) outbox.flush();
+      }
+      return;
+    }
+    if (flushPromise) await flushPromise.catch(() => {});
+    userId = id;
+    legacyLocations = [];
+    awaitingLogin = false;
+    lastError = null;
+    loadPromise = null;
+    await load();
+    if (id && online) outbox.flush();
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    load().then(() => listener(getState()));
+    return () => listeners.delete(listener);
+  },
+
+  async enqueue(type, assignmentId, payload) {
+    if (!handlers[type]) throw new Error(`Unknown outbox entry type: ${type}`);
+    await load();
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      assignmentId,
+      payload,
+      recordedBy: userId || null,
+      state: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+    };
+    entries = [...entries, entry];
+    await persist();
+    console.log(`📥 Queued ${type} for assignment ${assignmentId}`);
+    return entry;
+  },
+
+  // Send now when possible, otherwise queue. Anything already waiting goes first so order is kept.
+  // Resolves { queued: false, result } or { queued: true, entry }; non-transient errors are rethrown.
+  async run(type, assignmentId, payload, options) {
+    await load();
+    const hasBacklog = entries.some((e) => e.state === 'pending');
+    if (online && !hasBacklog) {
+      try {
+        const result = await handlers[type]({ type, assignmentId, payload }, options);
+        return { queued: false, result };
+      } catch (error) {
+        if (!isTransientError(error)) throw error;
+        lastError = error?.message || String(error);
+        if (error?.sessionExpired) awaitingLogin = true;
+      }
+    }
+    const entry = await outbox.enqueue(type, assignmentId, payload);
+    if (online) outbox.flush();
+    return { queued: true, entry };
+  },
+
+  // Replay pending entries oldest-first; stops at the first transient failure.
+  // Nothing is sent while the session is expired: every entry would get the same 401.
+  flush() {
+    if (flushPromise) return flushPromise;
+    if (awaitingLogin) return Promise.resolve();
+    flushPromise = (async () => {
+      await load();
+      notify();
+      for (const entry of entries.filter((e) => e.state === 'pending')) {
+        try {
+          await handlers[entry.type](entry);
+          entries = entries.filter((e) => e.id !== entry.id);
+          lastSyncedAt = new Date().toISOString();
+          lastError = null;
+          await persist();
+        } catch (error) {
+          const message = error?.message || String(error);
+          const transient = isTransientError(error);
+          entries = entries.map((e) => (e.id === entry.id
+            ? { ...e, attempts: e.attempts + 1, lastError: message, state: transient ? 'pending' : 'failed' }
+            : e));
+          lastError = message;
+          if (error?.sessionExpired) awaitingLogin = true;
+          await persist();
+          if (transient) {
+            console.log(`⏸️ Outbox paused${awaitingLogin ? ' until the next login' : ''}: ${message}`);
+            break;
+          }
+          console.warn(`❌ Outbox entry ${entry.type} for assignment ${entry.assignmentId} rejected:`, message);
+        }
+      }
+    })().finally(() => {
+      flushPromise = null;
+      notify();
+    });
+    return flushPromise;
+  },
+
+  // Put failed entries back in line (e.g. after the office fixed the assignment)
+  async retryFailed() {
+    await load();
+    entries = entries.map((e) => (e.state === 'failed' ? { ...e, state: 'pending' } : e));
+    await persist();
+    return outbox.flush();
+  },
+
+  async discard(id) {
+    await load();
+    entries = entries.filter((e) => e.id !== id);
+    await persist();
+  },
+
+  // Drop every entry of the current user (logout after the driver chose to discard them)
+  async clear() {
+    await load();
+    if (flushPromise) await flushPromise.catch(() => {});
+    const dropped = entries.length + legacyLocations.length;
+    entries = [];
+    legacyLocations = [];
+    await persist();
+    if (dropped) console.warn(`🗑️ Discarded ${dropped} unsent outbox entr${dropped === 1 ? 'y' : 'ies'}`);
+    return dropped;
+  },
+
+  // Local photo URIs still needed by a queued upload, across every user's queue and the handover slot
+  async referencedFiles() {
+    const files = new Set();
+    try {
+      const all = await AsyncStorage.getAllKeys();
+      const keys = all.filter((k) => k === HANDOVER_KEY || k === LEGACY_OUTBOX_KEY || (k.startsWith('user:') && k.endsWith(`:${OUTBOX_KEY}`)));
+      const stored = await AsyncStorage.multiGet(keys);
+      stored.forEach(([, raw]) => {
+        try {
+          (JSON.parse(raw) || []).forEach((e) => { if (e?.payload?.file?.uri) files.add(e.payload.file.uri); });
+        } catch {}
+      });
+    } catch (e) {
+      console.warn('Reading outbox photo references failed:', e?.message || e);
+    }
+    entries.forEach((e) => { if (e?.payload?.file?.uri) files.add(e.payload.file.uri); });
+    return files;
+  },
+
+  // Pass the legacy GPS points to store([entry]) and forget them once it resolves. Resolves the
+  // number drained; on a store error they stay put for the next call.
+  async drainLegacyLocations(store) {
+    await load();
+    if (!legacyLocations.length) return 0;
+    const draining = legacyLocations;
+    await store(draining);
+    legacyLocations = legacyLocations.filter((e) => !draining.includes(e));
+    await persist();
+    console.log(`📥 Moved ${draining.length} queued location point(s) to the location buffer`);
+    return draining.length;
+  },
+
+  // Shift handover: move every unsent entry of the current user to the shared handover slot,
+  // where the next driver to log in on this device picks them up. Entries keep recordedBy, so
+  // they are still attributed to this driver when the next one sends them. Resolves the number moved.
+  async handOver() {
+    await load();
+    if (flushPromise) await flushPromise.catch(() => {});
+    if (!entries.length) return 0;
+    const moving = entries.map((e) => ({ ...e, state: 'pending', handedOverBy: userId || null }));
+    const waiting = await readEntries(HANDOVER_KEY).catch(() => []);
+    await AsyncStorage.setItem(HANDOVER_KEY, JSON.stringify([...waiting, ...moving]));
+    entries = [];
+    await persist();
+    console.log(`🤝 Handed over ${moving.length} outbox entr${moving.length === 1 ? 'y' : 'ies'}`);
+    return moving.length;
+  },
+};
+
+export { isTransientError };
+export default outbox;
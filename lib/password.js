@@ -0,0 +1,36 @@
+// Client-side password rules for reset and change password. The server checks again and has the
+// final say (its WEAK_PASSWORD errors come back as a ValidationError with fieldErrors.newPassword);
+// these only spare the driver a round trip and show what is missing while they type.
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const PASSWORD_RULES = [
+  { id: 'length', label: `At least ${MIN_PASSWORD_LENGTH} characters`, test: (pw) => pw.length >= MIN_PASSWORD_LENGTH },
+  { id: 'upper', label: 'An uppercase letter', test: (pw) => /[A-Z]/.test(pw) },
+  { id: 'lower', label: 'A lowercase letter', test: (pw) => /[a-z]/.test(pw) },
+  { id: 'digit', label: 'A number', test: (pw) => /\d/.test(pw) },
+];
+
+// Passwords people try first; compared case-insensitively
+const COMMON_PASSWORDS = ['password', 'password1', 'password123', '12345678', 'qwerty123', 'welcome1', 'letmein1'];
+
+// { valid, strength: 'weak' | 'fair' | 'strong', rules: [{ id, label, passed }], problems: [string] }
+// email/username are optional; a password that contains them is rejected.
+export const checkPassword = (password = '', { email, username } = {}) => {
+  const pw = String(password);
+  const rules = PASSWORD_RULES.map(({ id, label, test }) => ({ id, label, passed: test(pw) }));
+  const problems = rules.filter((r) => !r.passed).map((r) => r.label);
+
+  const lowered = pw.toLowerCase();
+  if (COMMON_PASSWORDS.includes(lowered)) problems.push('Not a commonly used password');
+  const personal = [String(email || '').split('@')[0], username]
+    .map((part) => String(part || '').toLowerCase())
+    .filter((part) => part.length >= 3);
+  if (personal.some((part) => lowered.includes(part))) problems.push('Not based on your email or username');
+
+  const variety = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((re) => re.test(pw)).length;
+  let strength = 'weak';
+  if (!problems.length) strength = pw.length >= 12 && variety === 4 ? 'strong' : 'fair';
+
+  return { valid: problems.length === 0, strength, rules, problems };
+};
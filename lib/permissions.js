@@ -0,0 +1,85 @@
+// Role-based permissions keyed on user.Role (the roles profile.jsx displays).
+// Screens ask for a permission, never for a role, so a role can be widened here in one place.
+
+export const ROLES = {
+  ADMIN: 'Admin',
+  AUDITOR: 'Auditor',
+  ACCOUNT_EXECUTIVE: 'AccountExecutive',
+  LOGISTICS: 'Logistics',
+};
+
+export const PERMISSIONS = {
+  VIEW_DASHBOARD: 'dashboard:view',
+  VIEW_MY_ASSIGNMENTS: 'assignments:view-own',
+  VIEW_ASSIGNMENT: 'assignments:view-detail',
+  VERIFY_PICKUP: 'delivery:verify-pickup',
+  COMPLETE_DELIVERY: 'delivery:complete',
+  VIEW_MY_COMPLETED: 'deliveries:view-own-completed',
+  VIEW_ALL_DELIVERIES: 'deliveries:view-all',
+  USE_MESSAGING: 'messaging:use',
+  VIEW_PROFILE: 'profile:view',
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  // Drivers: their own assignments, end to end
+  [ROLES.LOGISTICS]: [
+    P.VIEW_DASHBOARD, P.VIEW_MY_ASSIGNMENTS, P.VIEW_ASSIGNMENT, P.VERIFY_PICKUP,
+    P.COMPLETE_DELIVERY, P.VIEW_MY_COMPLETED, P.USE_MESSAGING, P.VIEW_PROFILE,
+  ],
+  // Read-only oversight of every delivery
+  [ROLES.AUDITOR]: [
+    P.VIEW_DASHBOARD, P.VIEW_ASSIGNMENT, P.VIEW_ALL_DELIVERIES, P.USE_MESSAGING, P.VIEW_PROFILE,
+  ],
+  [ROLES.ACCOUNT_EXECUTIVE]: [
+    P.VIEW_DASHBOARD, P.VIEW_ASSIGNMENT, P.VIEW_ALL_DELIVERIES, P.USE_MESSAGING, P.VIEW_PROFILE,
+  ],
+};
+
+// Unknown or missing roles only get the screens every account has
+const BASELINE = [P.VIEW_DASHBOARD, P.VIEW_PROFILE];
+
+// Route (first path segment) -> permissions, any one of which opens it
+export const ROUTE_PERMISSIONS = {
+  dashboard: [P.VIEW_DASHBOARD],
+  deliveryinfo: [P.VIEW_MY_ASSIGNMENTS],
+  'completed-deliveries': [P.VIEW_MY_COMPLETED, P.VIEW_ALL_DELIVERIES],
+  taskdetails: [P.VIEW_ASSIGNMENT],
+  messaging: [P.USE_MESSAGING],
+  ChatScreen: [P.USE_MESSAGING],
+  profile: [P.VIEW_PROFILE],
+  'pickup-verification': [P.VERIFY_PICKUP],
+  'dropoff-verification': [P.COMPLETE_DELIVERY],
+  // Only drivers carry assignments and an outbox to hand over
+  'shift-handover': [P.VIEW_MY_ASSIGNMENTS],
+};
+
+// can() runs on every render, so each unknown role is reported once
+const warnedRoles = new Set();
+
+export const permissionsFor = (role) => {
+  const granted = ROLE_PERMISSIONS[role];
+  if (!granted && role && !warnedRoles.has(role)) {
+    warnedRoles.add(role);
+    console.warn(`⚠️ Unknown role "${role}", limiting to basic screens`);
+  }
+  return granted || BASELINE;
+};
+
+// permission may be a single permission or a list (any of)
+export const can = (role, permission) => {
+  const granted = permissionsFor(role);
+  const wanted = Array.isArray(permission) ? permission : [permission];
+  return wanted.some((p) => granted.includes(p));
+};
+
+export const canAccessRoute = (role, segment) => {
+  const required = ROUTE_PERMISSIONS[segment];
+  return !required || can(role, required);
+};
+
+// Where a user lands after login or when a screen is off limits (the same for every role:
+// the dashboard is in BASELINE)
+export const homeRouteFor = () => '/dashboard';
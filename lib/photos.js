@@ -0,0 +1,30 @@
+import { Directory, Paths } from 'expo-file-system';
+
+// Verification photos from expo-image-picker land in the app cache under ImagePicker/ and are
+// never cleaned up by the picker. On a shared device they are somebody's delivery evidence, so
+// logout removes them, except the ones a queued upload still has to send.
+
+const PICKER_DIRECTORIES = ['ImagePicker', 'Camera'];
+
+const fileName = (uri) => String(uri || '').split('/').pop();
+
+// keep: Set of file URIs to leave in place. Resolves the number of files removed.
+export const purgeCapturedPhotos = async ({ keep = new Set() } = {}) => {
+  const kept = new Set([...keep].map(fileName));
+  let removed = 0;
+  PICKER_DIRECTORIES.forEach((name) => {
+    try {
+      const directory = new Directory(Paths.cache, name);
+      if (!directory.exists) return;
+      directory.list().forEach((entry) => {
+        if (entry instanceof Directory || kept.has(fileName(entry.uri))) return;
+        entry.delete();
+        removed += 1;
+      });
+    } catch (e) {
+      console.warn(`Purging ${name} photos failed:`, e?.message || e);
+    }
+  });
+  if (removed) console.log(`🧹 Removed ${removed} captured photo(s)`);
+  return removed;
+};
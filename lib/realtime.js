@@ -0,0 +1,323 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { api, CACHE_KEYS, getApiDiagnostics } from './api';
+import { getTransport } from './transport';
+import { readCache, updateCache, invalidateCache } from './cache';
+import { normalizeAssignment, normalizeAssignmentList } from './models';
+import { computeBackoff } from './resilience';
+
+// Live assignment updates for the logged-in driver.
+// Prefers a WebSocket (or EventSource where the platform has one) on
+//   <api base>/realtime/assignments
+// and polls my-assignments while no channel is open. Every event is written to the cached
+// lists/details first, then handed to subscribers (see hooks/useRealtime) so open screens update.
+//
+// Event shapes accepted from the server:
+//   { type: 'assignment.created' | 'assignment.reassigned' | 'assignment.cancelled'
+//           | 'assignment.due_date_changed', assignment?: {...}, assignment_id?, driver_id?, due_date? }
+// Subscribers receive { type, assignmentId, assignment, patch, removed, source }.
+
+const POLL_INTERVAL_MS = 30000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+
+let userId = null;
+let channel = null; // { kind: 'socket' | 'sse', close() }
+let connecting = false;
+let mode = 'idle'; // idle | connecting | socket | sse | polling
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let pollTimer = null;
+let appStateSub = null;
+let resyncPromise = null;
+let lastEventAt = null;
+let lastSyncedAt = null;
+const listeners = new Set();
+const stateListeners = new Set();
+
+const getState = () => ({ mode, userId, lastEventAt, lastSyncedAt });
+
+const setMode = (next) => {
+  if (next === mode) return;
+  mode = next;
+  console.log(`📡 Realtime: ${mode}`);
+  stateListeners.forEach((listener) => {
+    try { listener(getState()); } catch {}
+  });
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Apply one event to a list of assignments (cached copy or a screen's state)
+export const applyAssignmentEvent = (list, event) => {
+  const current = list || [];
+  const existing = current.find((a) => sameId(a.assignment_id, event.assignmentId));
+  if (event.removed) return existing ? current.filter((a) => a !== existing) : current;
+  const next = event.assignment || (existing && event.patch ? { ...existing, ...event.patch } : null);
+  if (!next) return current;
+  return existing ? current.map((a) => (a === existing ? next : a)) : [next, ...current];
+};
+
+// Server message -> subscriber event, or null if it is not about this driver's assignments
+const parseServerEvent = (raw) => {
+  const type = String(raw?.type || raw?.event || '').toLowerCase().replace(/^assignment[._:]/, '');
+  let assignment = null;
+  try { assignment = raw.assignment ? normalizeAssignment(raw.assignment) : null; } catch (e) {
+    console.warn('Realtime event with a bad assignment:', e?.message || e);
+  }
+  const assignmentId = assignment?.assignment_id ?? Number(raw?.assignment_id);
+  if (!Number.isFinite(assignmentId)) return null;
+  const base = { assignmentId, assignment, patch: null, removed: false, source: channel?.kind || 'socket' };
+
+  switch (type) {
+    case 'created':
+      return { ...base, type: 'created' };
+    case 'reassigned': {
+      const driverId = raw.driver_id ?? raw.to_driver_id ?? raw.assignment?.driver_id;
+      // Reassigned to someone else means it leaves this driver's list
+      return sameId(driverId, userId)
+        ? { ...base, type: 'reassigned' }
+        : { ...base, type: 'reassigned', assignment: null, removed: true };
+    }
+    case 'cancelled':
+    case 'canceled':
+      return { ...base, type: 'cancelled', assignment: null, patch: { status: 'CANCELLED' }, removed: true };
+    case 'due_date_changed': {
+      const due = raw.due_date ?? raw.assignment?.due_date;
+      const dueDate = due ? new Date(due) : null;
+      return { ...base, type: 'due_date_changed', patch: { due_date: dueDate && !Number.isNaN(dueDate.getTime()) ? dueDate : null } };
+    }
+    default:
+      return null;
+  }
+};
+
+const emit = (event) => {
+  lastEventAt = new Date().toISOString();
+  listeners.forEach((listener) => {
+    try { listener(event); } catch (e) { console.warn('Realtime listener error:', e?.message || e); }
+  });
+};
+
+// Cache first, so a screen that re-reads on the event sees the new data
+const applyEvent = async (event) => {
+  await updateCache(
+    CACHE_KEYS.myAssignments,
+    (list) => (list ? applyAssignmentEvent(list, event) : undefined),
+    normalizeAssignmentList
+  );
+  const detailKey = CACHE_KEYS.assignment(event.assignmentId);
+  if (event.patch) {
+    await updateCache(detailKey, (detail) => (detail ? { ...detail, ...event.patch } : undefined), normalizeAssignment);
+  } else {
+    await invalidateCache(detailKey);
+  }
+  console.log(`📨 Assignment ${event.assignmentId} ${event.type} (${event.source})`);
+  emit(event);
+};
+
+// Polling: compare the fresh list with the cached one and turn the differences into events
+const diffAssignments = (before, after) => {
+  const events = [];
+  const base = { patch: null, removed: false, source: 'poll' };
+  after.forEach((assignment) => {
+    const previous = before.find((a) => sameId(a.assignment_id, assignment.assignment_id));
+    const assignmentId = assignment.assignment_id;
+    if (!previous) {
+      events.push({ ...base, type: 'created', assignmentId, assignment });
+    } else if (previous.due_date?.getTime?.() !== assignment.due_date?.getTime?.()) {
+      events.push({ ...base, type: 'due_date_changed', assignmentId, assignment });
+    } else if (previous.status !== assignment.status) {
+      events.push({ ...base, type: 'updated', assignmentId, assignment });
+    }
+  });
+  before.forEach((assignment) => {
+    if (!after.some((a) => sameId(a.assignment_id, assignment.assignment_id))) {
+      // Completed, cancelled or reassigned: the list alone cannot tell which
+      events.push({ ...base, type: 'removed', assignmentId: assignment.assignment_id, assignment: null, removed: true });
+    }
+  });
+  return events;
+};
+
+const resync = () => {
+  if (!userId) return Promise.resolve();
+  if (resyncPromise) return resyncPromise;
+  resyncPromise = (async () => {
+    const cached = await readCache(CACHE_KEYS.myAssignments, normalizeAssignmentList);
+    const fresh = await api.getMyAssignments();
+    lastSyncedAt = new Date().toISOString();
+    await updateCache(CACHE_KEYS.myAssignments, () => fresh, normalizeAssignmentList);
+    if (!cached) return;
+    for (const event of diffAssignments(cached.data, fresh)) {
+      if (!event.removed && event.type !== 'created') await invalidateCache(CACHE_KEYS.assignment(event.assignmentId));
+      console.log(`📨 Assignment ${event.assignmentId} ${event.type} (poll)`);
+      emit(event);
+    }
+  })()
+    .catch((e) => console.warn('Realtime resync failed:', e?.message || e))
+    .finally(() => { resyncPromise = null; });
+  return resyncPromise;
+};
+
+const startPolling = () => {
+  setMode('polling');
+  if (pollTimer) return;
+  pollTimer = setInterval(resync, POLL_INTERVAL_MS);
+};
+
+const stopPolling = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || !userId) return;
+  const delay = Math.max(RECONNECT_BASE_MS, computeBackoff(reconnectAttempts, { base: RECONNECT_BASE_MS, max: RECONNECT_MAX_MS }));
+  reconnectAttempts += 1;
+  console.log(`🔁 Realtime reconnect in ${delay}ms (attempt ${reconnectAttempts})`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+};
+
+const handleMessage = (data) => {
+  let raw;
+  try { raw = JSON.parse(data); } catch { return; }
+  const event = parseServerEvent(raw);
+  if (event) applyEvent(event).catch((e) => console.warn('Realtime event failed:', e?.message || e));
+};
+
+// Open a WebSocket, or an EventSource where only that exists. Resolves null when neither can be used.
+const openChannel = async (handlers) => {
+  const base = getApiDiagnostics().API_BASE_URL;
+  const token = await AsyncStorage.getItem('accessToken').catch(() => null);
+  const query = `userId=${encodeURIComponent(userId)}`;
+
+  if (typeof WebSocket !== 'undefined') {
+    // React Native's WebSocket accepts headers as a third argument
+    const socket = new WebSocket(`${base.replace(/^http/, 'ws')}/realtime/assignments?${query}`, null, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    socket.onopen = handlers.onOpen;
+    socket.onmessage = (message) => handlers.onMessage(message.data);
+    socket.onerror = (e) => console.warn('Realtime socket error:', e?.message || 'connection failed');
+    socket.onclose = handlers.onClose;
+    return { kind: 'socket', close: () => socket.close() };
+  }
+  if (typeof EventSource !== 'undefined') {
+    const source = new EventSource(`${base}/realtime/assignments/stream?${query}${token ? `&token=${encodeURIComponent(token)}` : ''}`);
+    source.onopen = handlers.onOpen;
+    source.onmessage = (message) => handlers.onMessage(message.data);
+    source.onerror = () => {
+      source.close();
+      handlers.onClose();
+    };
+    return { kind: 'sse', close: () => source.close() };
+  }
+  return null;
+};
+
+const connect = async () => {
+  if (!userId || channel || connecting || AppState.currentState === 'background') return;
+  // The fake backend has no push channel
+  if (getTransport().name !== 'http') {
+    startPolling();
+    return;
+  }
+  if (mode === 'idle') setMode('connecting');
+  connecting = true;
+  let opened = null;
+  const current = await openChannel({
+    onOpen: () => {
+      if (channel !== opened) return;
+      reconnectAttempts = 0;
+      setMode(opened.kind);
+      stopPolling();
+      // Catch up on anything sent while we were disconnected
+      resync();
+    },
+    onMessage: (data) => {
+      if (channel === opened) handleMessage(data);
+    },
+    onClose: () => {
+      if (channel !== opened) return; // closed on purpose
+      channel = null;
+      startPolling();
+      scheduleReconnect();
+    },
+  }).catch((e) => {
+    console.warn('Realtime channel unavailable:', e?.message || e);
+    return null;
+  });
+  connecting = false;
+  if (!current) {
+    startPolling();
+    return;
+  }
+  if (!userId) {
+    current.close();
+    return;
+  }
+  opened = current;
+  channel = current;
+};
+
+const disconnect = () => {
+  if (reconnectTimer) clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  stopPolling();
+  const closing = channel;
+  channel = null;
+  if (closing) closing.close();
+};
+
+const realtime = {
+  // Subscribe to the given driver's assignment events; replaces any previous session
+  start(accountId) {
+    if (!accountId) return;
+    if (userId && sameId(userId, accountId)) return;
+    realtime.stop();
+    userId = accountId;
+    reconnectAttempts = 0;
+    appStateSub = AppState.addEventListener('change', (next) => {
+      if (next === 'active') {
+        // Back in the foreground: reconnect straight away and fetch what was missed
+        reconnectAttempts = 0;
+        if (reconnectTimer) clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        connect();
+        resync();
+      } else if (next === 'background') {
+        disconnect();
+        setMode('idle');
+      }
+    });
+    connect();
+  },
+
+  stop() {
+    disconnect();
+    appStateSub?.remove?.();
+    appStateSub = null;
+    userId = null;
+    setMode('idle');
+  },
+
+  resync,
+  getState,
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  subscribeState(listener) {
+    stateListeners.add(listener);
+    listener(getState());
+    return () => stateListeners.delete(listener);
+  },
+};
+
+export default realtime;
@@ -0,0 +1,124 @@
+// Retry policy, backoff and circuit breaker used by the request middleware (lib/middleware).
+
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+const MAX_RETRY_AFTER_MS = 30000;
+
+// Circuit breaker: after this many consecutive connection failures to a host, stop sending
+// requests to it for the cool-down; then let a single probe request through (half-open).
+const FAILURE_THRESHOLD = 3;
+const COOL_DOWN_MS = 30000;
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener?.('abort', onAbort, { once: true });
+});
+
+// Exponential backoff with "full jitter": a random delay up to base * 2^attempt
+export const computeBackoff = (attempt, { base = BASE_BACKOFF_MS, max = MAX_BACKOFF_MS } = {}) =>
+  Math.round(Math.random() * Math.min(max, base * 2 ** attempt));
+
+// Retry-After is either delay-seconds or an HTTP date
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+  if (!Number.isFinite(ms)) return null;
+  return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+};
+
+// Per-call policy. GET/HEAD are retried by default; mutations only when the caller marks the
+// call idempotent (safe to repeat) or passes an explicit retry count. Any method is retried
+// on 429/503, where the server has said it did not process the request.
+//   retry: false | number | { retries }
+export const resolveRetryPolicy = (method = 'GET', { retry, idempotent } = {}) => {
+  if (retry === false) return { retries: 0, idempotent: false };
+  const safe = idempotent ?? ['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase());
+  const explicit = typeof retry === 'number' ? retry : retry?.retries;
+  return { retries: explicit ?? 2, idempotent: safe || explicit !== undefined };
+};
+
+// Delay before the next attempt, or null when the error should not be retried
+export const retryDelayFor = (error, attempt, policy) => {
+  if (!error || attempt >= policy.retries || error.sessionExpired || error.circuitOpen) return null;
+  const status = error.status;
+  if (status === 429 || status === 503) return error.retryAfterMs ?? computeBackoff(attempt);
+  if (!policy.idempotent) return null;
+  // A timeout is not retried: the caller's AbortController deadline covers all attempts
+  if (error.isNetworkError) return computeBackoff(attempt);
+  if (status === 408 || status === 502 || status === 504) return computeBackoff(attempt);
+  return null;
+};
+
+// ---- Circuit breaker + app-wide connectivity state ----
+
+const circuits = new Map(); // host -> { failures, openedAt }
+const listeners = new Set();
+let connectivity = { offline: false, host: null, retryAt: null };
+
+const hostOf = (url) => String(url).split('://')[1]?.split('/')[0] || String(url);
+
+const setConnectivity = (next) => {
+  if (next.offline === connectivity.offline && next.host === connectivity.host) return;
+  connectivity = next;
+  console.log(next.offline ? `📴 Server ${next.host} unreachable, pausing requests` : '📶 Server reachable again');
+  listeners.forEach((listener) => {
+    try { listener(connectivity); } catch {}
+  });
+};
+
+export const getConnectivity = () => connectivity;
+
+export const subscribeConnectivity = (listener) => {
+  listeners.add(listener);
+  listener(connectivity);
+  return () => listeners.delete(listener);
+};
+
+// Throws straight away while the host's circuit is open; lets one request through after the cool-down.
+// A probe that never reports back (aborted before it was sent) gives way to another one after a
+// further cool-down, so the circuit cannot stay half-open for good.
+export const checkCircuit = (url) => {
+  const host = hostOf(url);
+  const circuit = circuits.get(host);
+  if (!circuit || circuit.failures < FAILURE_THRESHOLD) return;
+  const retryAt = circuit.probingAt ? circuit.probingAt + COOL_DOWN_MS : circuit.openedAt + COOL_DOWN_MS;
+  if (Date.now() >= retryAt) {
+    circuit.probingAt = Date.now(); // half-open: this request decides
+    return;
+  }
+  const seconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+  throw Object.assign(
+    new Error(`Server unreachable. Working offline; will try again in ${seconds}s.`),
+    { isNetworkError: true, circuitOpen: true }
+  );
+};
+
+export const recordSuccess = (url) => {
+  const host = hostOf(url);
+  circuits.delete(host);
+  if (connectivity.offline && connectivity.host === host) setConnectivity({ offline: false, host: null, retryAt: null });
+};
+
+export const recordFailure = (url) => {
+  const host = hostOf(url);
+  const circuit = circuits.get(host) || { failures: 0, openedAt: 0 };
+  circuit.failures += 1;
+  circuit.probingAt = null;
+  if (circuit.failures >= FAILURE_THRESHOLD) {
+    circuit.openedAt = Date.now();
+    setConnectivity({ offline: true, host, retryAt: circuit.openedAt + COOL_DOWN_MS });
+  }
+  circuits.set(host, circuit);
+};
@@ -0,0 +1,57 @@
+import * as Linking from 'expo-linking';
+
+// Which routes need a session, plus the route a logged-out user was trying to reach
+// (an in-app redirect or an MZEapp:// deep link) so login can continue there.
+
+export const PUBLIC_ROUTES = ['', 'index', 'login', 'forgot-password'];
+
+export const PROTECTED_ROUTES = [
+  'dashboard',
+  'deliveryinfo',
+  'completed-deliveries',
+  'taskdetails',
+  'messaging',
+  'ChatScreen',
+  'profile',
+  'pickup-verification',
+  'dropoff-verification',
+  'shift-handover',
+];
+
+let rememberedRoute = null; // { pathname, params }
+
+export const isPublicRoute = (segment) => PUBLIC_ROUTES.includes(segment ?? '');
+
+export const isProtectedRoute = (segment) => PROTECTED_ROUTES.includes(segment);
+
+export const rememberRoute = (href) => {
+  const segment = String(href?.pathname || '').replace(/^\//, '').split('/')[0];
+  if (!isProtectedRoute(segment)) return;
+  rememberedRoute = { pathname: `/${segment}`, params: href.params || {} };
+  console.log('🧭 Will continue to', rememberedRoute.pathname, 'after login');
+};
+
+// MZEapp://taskdetails?id=12 (hostname form) and MZEapp:///taskdetails?id=12 (path form)
+export const routeFromUrl = (url) => {
+  if (!url) return null;
+  try {
+    const { hostname, path, queryParams } = Linking.parse(url);
+    const route = [hostname, path].filter(Boolean).join('/').split('/')[0];
+    if (!isProtectedRoute(route)) return null;
+    return { pathname: `/${route}`, params: queryParams || {} };
+  } catch {
+    return null;
+  }
+};
+
+export const rememberUrl = (url) => {
+  const href = routeFromUrl(url);
+  if (href) rememberRoute(href);
+};
+
+// Hand back the remembered route once; later logins start at the dashboard again
+export const takeRememberedRoute = () => {
+  const href = rememberedRoute;
+  rememberedRoute = null;
+  return href;
+};
@@ -0,0 +1,83 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { api } from './api';
+import outbox from './outbox';
+import { clearUserCache } from './cache';
+
+// Shift handover on a shared vehicle device (see app/shift-handover).
+// The outgoing driver flushes or hands over their unsent outbox entries, asks dispatch to reassign
+// unfinished assignments, and leaves a note for whoever logs in next. The note is device-level on
+// purpose: it is meant for the next driver, whoever that is.
+
+const NOTE_KEY = 'shiftHandover:note';
+
+// Statuses that still need a driver
+const UNFINISHED_STATUSES = ['ASSIGNED', 'IN_PROGRESS'];
+
+export const unfinishedAssignments = (assignments = []) =>
+  assignments.filter((a) => UNFINISHED_STATUSES.includes(a.status));
+
+const shiftHandover = {
+  // Hand everything over and leave a note. Resolves
+  // { handedOverEntries, reassignRequested, reassignError } so the screen can say what happened.
+  // reassignError is set when dispatch could not be reached; the driver should then call them.
+  async handOver({ user, assignments = [], note = '' }) {
+    const assignmentIds = assignments.map((a) => a.assignment_id);
+    let reassignRequested = false;
+    let reassignError = null;
+
+    // One last try so as little as possible is passed on
+    await outbox.flush().catch(() => {});
+
+    // The server files handed-over entries under this driver only for assignments named in the
+    // handover, so the ones still in the outbox are listed too (even if already completed)
+    const entryAssignmentIds = outbox.getState().items.map((e) => e.assignmentId);
+    const handoverIds = [...new Set([...assignmentIds, ...entryAssignmentIds].map(String))];
+    if (handoverIds.length) {
+      try {
+        await api.handOverAssignments(handoverIds, note);
+        reassignRequested = true;
+      } catch (error) {
+        console.warn('Handover reassignment request failed:', error?.message || error);
+        reassignError = error;
+      }
+    }
+
+    const handedOverEntries = await outbox.handOver();
+
+    await AsyncStorage.setItem(NOTE_KEY, JSON.stringify({
+      fromUserId: user?.Account_id ?? null,
+      fromName: user?.Fullname || user?.Username || null,
+      at: new Date().toISOString(),
+      assignments: assignments.map((a) => ({
+        assignment_id: a.assignment_id,
+        status: a.status,
+        to_branch_name: a.to_branch_name || null,
+      })),
+      handedOverEntries,
+      reassignRequested,
+      note: note.trim() || null,
+    })).catch((e) => console.warn('Saving handover note failed:', e?.message || e));
+
+    // The next driver must not find the previous one's assignments on the device
+    if (user?.Account_id) await clearUserCache(String(user.Account_id));
+
+    console.log(`🤝 Shift handed over (${assignmentIds.length} assignment(s), ${handedOverEntries} unsent item(s))`);
+    return { handedOverEntries, reassignRequested, reassignError };
+  },
+
+  // The note left by the previous driver, removed once read. Notes a driver left themselves are
+  // dropped silently (they logged straight back in).
+  async takeNote(userId) {
+    try {
+      const raw = await AsyncStorage.getItem(NOTE_KEY);
+      if (!raw) return null;
+      await AsyncStorage.removeItem(NOTE_KEY);
+      const note = JSON.parse(raw);
+      return String(note.fromUserId) === String(userId) ? null : note;
+    } catch {
+      return null;
+    }
+  },
+};
+
+export default shiftHandover;
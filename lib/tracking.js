@@ -0,0 +1,365 @@
+import * as Location from 'expo-location';
+import * as Battery from 'expo-battery';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
+import { api, CACHE_KEYS } from './api';
+import { readCache } from './cache';
+import { normalizeAssignmentList, nextDestination } from './models';
+import outbox from './outbox';
+import realtime from './realtime';
+import locationBuffer from './locationBuffer';
+import geofences from './geofence';
+import trips from './tripRecorder';
+import { LOCATION_TASK_NAME, registerForegroundTracker, stopLocationUpdates } from './locationTask';
+import { distanceMeters, DEFAULT_GPS_FILTER } from './gpsFilter';
+import { TRACKING_MODES, DEFAULT_TRACKING_POLICY, chooseTrackingMode, speedBetween } from './trackingPolicy';
+
+// App-wide location tracking for the logged-in driver (see contexts/TrackingContext).
+// Tracking follows the driver's assignments, not screens: it runs while any of them is ASSIGNED or
+// IN_PROGRESS and stops when the last one is completed, cancelled or reassigned. Status comes
+// from my-assignments, live events (lib/realtime) and actions still queued in the outbox.
+// One GPS stream is recorded against a single active assignment (lib/locationBuffer): the
+// delivery in progress, otherwise the next one due.
+// How often and how precisely is decided by lib/trackingPolicy from movement, distance to the
+// next branch and battery; extra.TRACKING_POLICY in app.json overrides its thresholds.
+//
+// state: { status: 'idle' | 'starting' | 'tracking' | 'error', assignmentIds, activeAssignmentId,
+//          mode, lastFix, error }
+
+const TRACKED_STATUSES = ['ASSIGNED', 'IN_PROGRESS'];
+// Movement, battery and distance are re-checked this often even when no fix arrives
+// (a parked phone may report nothing at all)
+const EVALUATE_INTERVAL_MS = 60000;
+
+const extra = Constants?.expoConfig?.extra || {};
+const POLICY = { ...DEFAULT_TRACKING_POLICY, ...(extra.TRACKING_POLICY || {}) };
+// Faster than the GPS filter allows is a glitch, not movement
+const MAX_SPEED_MPS = { ...DEFAULT_GPS_FILTER, ...(extra.GPS_FILTER || {}) }.maxSpeedMps;
+
+const ACCURACY = {
+  best: Location.Accuracy.BestForNavigation,
+  high: Location.Accuracy.High,
+  balanced: Location.Accuracy.Balanced,
+};
+
+let accountId = null;
+let assignments = [];
+// Whether assignments holds a real list yet (until then an empty list means "not loaded")
+let assignmentsLoaded = false;
+let activeAssignment = null;
+let queuedSignature = '';
+let engineRunning = false;
+let intervalTimer = null;
+let evaluateTimer = null;
+let mode = null;
+let previousFix = null;
+let lastMovedAt = null;
+let power = { batteryLevel: null, charging: false, lowPowerMode: false };
+let unregisterStop = null;
+let subscriptions = [];
+let state = { status: 'idle', assignmentIds: [], activeAssignmentId: null, mode: null, lastFix: null, error: null };
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => {
+    try { listener(state); } catch (e) { console.warn('Tracking listener error:', e?.message || e); }
+  });
+};
+
+// Status as the driver sees it: queued verifications count as done until the server says otherwise
+export const effectiveStatus = (assignment, outboxItems = []) => {
+  if (!assignment) return '';
+  const queued = outboxItems.filter((e) => e.state === 'pending'
+    && String(e.assignmentId) === String(assignment.assignment_id));
+  if (queued.some((e) => e.type === 'verifyDropoff')) return 'COMPLETED';
+  if (queued.some((e) => e.type === 'verifyPickup')) return 'IN_PROGRESS';
+  const statusChange = [...queued].reverse().find((e) => e.type === 'status');
+  if (statusChange) return statusChange.payload.status;
+  return assignment.status || '';
+};
+
+export const isTrackedStatus = (status) => TRACKED_STATUSES.includes(status);
+
+// In progress first (most recently updated), then the earliest due
+const pickActive = (tracked) => {
+  const byUpdated = (a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0);
+  const byDue = (a, b) => new Date(a.due_date || 8640000000000000) - new Date(b.due_date || 8640000000000000);
+  const inProgress = tracked.filter((a) => a.status === 'IN_PROGRESS').sort(byUpdated);
+  return inProgress[0] || [...tracked].sort(byDue)[0] || null;
+};
+
+// Both platforms need background access: iOS for updates while the app is not in front, Android 10+
+// (ACCESS_BACKGROUND_LOCATION) for the lib/locationTask updates. A denial ends up in state.error.
+const requestPermissions = async () => {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== 'granted') throw new Error('Permission to access location was denied');
+  const { status: bgStatus } = await Location.requestBackgroundPermissionsAsync();
+  if (bgStatus !== 'granted') {
+    throw new Error(Platform.OS === 'android'
+      ? 'Allow location access "All the time" in Settings so deliveries are tracked in the background'
+      : 'Background location permission is required for tracking');
+  }
+};
+
+const recordCurrentPosition = async () => {
+  const options = TRACKING_MODES[mode || 'moving'];
+  const current = await Location.getCurrentPositionAsync({ accuracy: ACCURACY[options.accuracy] });
+  const recorded = await locationBuffer.record(current, { source: 'foreground' });
+  await geofences.check(recorded);
+  await trips.record(recorded);
+  await locationBuffer.upload();
+};
+
+const readPowerState = async () => {
+  try {
+    const { batteryLevel, batteryState, lowPowerMode } = await Battery.getPowerStateAsync();
+    power = {
+      batteryLevel,
+      charging: batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL,
+      lowPowerMode: !!lowPowerMode,
+    };
+  } catch (e) {
+    console.warn('Reading battery state failed:', e?.message || e);
+  }
+};
+
+// Switch the running updates to a lib/trackingPolicy mode
+const applyMode = async (next) => {
+  if (!engineRunning || next === mode) return;
+  const previous = mode;
+  mode = next;
+  setState({ mode: next });
+  const options = TRACKING_MODES[next];
+  console.log(`📡 Tracking mode: ${previous || 'none'} -> ${next}`);
+  await locationBuffer.setTrackingMode(next);
+  if (Platform.OS === 'android') {
+    // Starting the task again replaces its options in place; lib/locationTask keeps recording
+    await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
+      accuracy: ACCURACY[options.accuracy],
+      distanceInterval: options.distanceInterval,
+      timeInterval: options.timeInterval,
+      foregroundService: {
+        notificationTitle: 'Delivery Tracking',
+        notificationBody: 'Tracking your delivery route in progress',
+      },
+    });
+  } else {
+    if (intervalTimer) clearInterval(intervalTimer);
+    intervalTimer = setInterval(() => {
+      recordCurrentPosition().catch((e) => console.error('Interval location error:', e));
+    }, options.timeInterval);
+  }
+};
+
+const evaluateMode = () => {
+  const fix = state.lastFix;
+  const destination = nextDestination(activeAssignment);
+  return chooseTrackingMode({
+    speedMps: previousFix?.speedMps ?? null,
+    stillForMs: lastMovedAt ? Date.now() - lastMovedAt : null,
+    distanceToDestinationM: destination && fix ? distanceMeters(fix, destination) : null,
+    ...power,
+  }, POLICY);
+};
+
+const reevaluate = () => applyMode(evaluateMode())
+  .catch((e) => console.warn('Changing tracking mode failed:', e?.message || e));
+
+// Speed and the last time we moved come from every fix the OS reports (foreground or background),
+// before lib/gpsFilter: a fix it drops as inaccurate or parked still tells whether the van moves,
+// so the mode can leave 'stationary' even when none of the new fixes is kept
+const onRawFixes = (fixes) => {
+  fixes.forEach((fix) => {
+    const speedMps = speedBetween(previousFix, fix);
+    if (speedMps !== null && speedMps > MAX_SPEED_MPS) return;
+    if (speedMps === null || speedMps >= POLICY.movingSpeedMps) lastMovedAt = Date.now();
+    previousFix = { ...fix, speedMps };
+  });
+  if (engineRunning) reevaluate();
+};
+
+// Kept fixes are what the screens show and what the distance to the next branch is measured from
+const onFix = (fix) => {
+  setState({ lastFix: fix });
+  if (engineRunning) reevaluate();
+};
+
+const stopEngine = async () => {
+  unregisterStop?.();
+  unregisterStop = null;
+  if (intervalTimer) clearInterval(intervalTimer);
+  intervalTimer = null;
+  if (evaluateTimer) clearInterval(evaluateTimer);
+  evaluateTimer = null;
+  if (engineRunning) console.log('🛑 Tracking stopped');
+  engineRunning = false;
+  mode = null;
+  setState({ mode: null });
+  await stopLocationUpdates();
+};
+
+const startEngine = async () => {
+  if (engineRunning) return;
+  engineRunning = true;
+  setState({ status: 'starting', error: null });
+  try {
+    await requestPermissions();
+    await readPowerState();
+    lastMovedAt = Date.now();
+    await recordCurrentPosition().catch((e) => console.warn('Initial location fix failed:', e?.message || e));
+    if (!engineRunning) return; // stopped while asking for permission
+    // Android: the background task survives the app being backgrounded (lib/locationTask
+    // records what it reports); iOS: an interval while the app runs
+    await applyMode(evaluateMode());
+    evaluateTimer = setInterval(() => {
+      readPowerState().then(reevaluate);
+    }, EVALUATE_INTERVAL_MS);
+    // Logout stops every tracker through lib/locationTask
+    unregisterStop = registerForegroundTracker(stopEngine);
+    console.log('📡 Tracking started');
+    setState({ status: 'tracking' });
+  } catch (e) {
+    console.error('Error starting location tracking:', e);
+    engineRunning = false;
+    mode = null;
+    setState({ status: 'error', mode: null, error: e?.message || 'Failed to start location tracking' });
+  }
+};
+
+// Re-evaluate which assignments need tracking and start or stop accordingly
+const applyNow = async () => {
+  if (!accountId) return;
+  const items = outbox.getState().items;
+  const tracked = assignments
+    .map((a) => ({ ...a, status: effectiveStatus(a, items) }))
+    .filter((a) => isTrackedStatus(a.status));
+  const active = pickActive(tracked);
+  activeAssignment = active;
+  await geofences.setAssignments(tracked);
+  // A leg is recorded from pickup until the dropoff screen finishes it (lib/tripRecorder). One whose
+  // assignment left the list some other way (completed by dispatch, cancelled, reassigned) ends
+  // here, or it would go on collecting every later fix.
+  for (const a of tracked.filter((t) => t.status === 'IN_PROGRESS')) await trips.start(a.assignment_id);
+  if (assignmentsLoaded) {
+    const trackedIds = new Set(tracked.map((a) => String(a.assignment_id)));
+    for (const id of await trips.getOpenAssignmentIds()) {
+      if (!trackedIds.has(id)) await trips.finish(id);
+    }
+  }
+  setState({ assignmentIds: tracked.map((a) => String(a.assignment_id)), activeAssignmentId: active ? String(active.assignment_id) : null });
+
+  if (!active) {
+    await locationBuffer.clearActiveAssignment();
+    await stopEngine();
+    setState({ status: 'idle', error: null });
+    return;
+  }
+  await locationBuffer.setActiveAssignment(active.assignment_id);
+  await startEngine();
+  // The destination changes at pickup and when another assignment takes over
+  reevaluate();
+};
+
+// The outbox, realtime and refreshes all call this without waiting. Runs never overlap: a call
+// during a run asks for one more run afterwards (which sees the latest state) and shares its promise.
+let applyPromise = null;
+let applyAgain = false;
+const apply = () => {
+  if (applyPromise) {
+    applyAgain = true;
+    return applyPromise;
+  }
+  applyPromise = (async () => {
+    do {
+      applyAgain = false;
+      await applyNow().catch((e) => console.warn('Updating tracking failed:', e?.message || e));
+    } while (applyAgain);
+  })().finally(() => {
+    applyPromise = null;
+  });
+  return applyPromise;
+};
+
+const setAssignments = (list) => {
+  assignments = list || [];
+  assignmentsLoaded = true;
+  return apply();
+};
+
+// fromNetwork: ask the server too (after our own actions); otherwise the cache is enough
+// (realtime has already written its events there)
+const refresh = async ({ fromNetwork = true } = {}) => {
+  if (!accountId) return;
+  if (!fromNetwork) {
+    const cached = await readCache(CACHE_KEYS.myAssignments, normalizeAssignmentList);
+    if (cached) await setAssignments(cached.data);
+    return;
+  }
+  try {
+    await api.getMyAssignmentsCached(({ data }) => { setAssignments(data); });
+  } catch (e) {
+    console.warn('Tracking could not refresh assignments:', e?.message || e);
+  }
+};
+
+const tracking = {
+  // Take over tracking for this driver; replaces any previous session
+  start(userId) {
+    if (!userId) return;
+    if (accountId && String(accountId) === String(userId)) return;
+    tracking.stop();
+    accountId = userId;
+    subscriptions = [
+      realtime.subscribe(() => refresh({ fromNetwork: false })),
+      // Queued (or just synced) pickups, dropoffs and status changes move assignments along
+      outbox.subscribe((outboxState) => {
+        const signature = outboxState.items
+          .map((e) => `${e.id}:${e.state}`)
+          .join(',');
+        if (signature === queuedSignature) return;
+        const hadQueued = queuedSignature !== '';
+        queuedSignature = signature;
+        if (hadQueued && !signature) refresh();
+        else apply();
+      }),
+      locationBuffer.subscribe(onFix),
+      locationBuffer.subscribeRaw(onRawFixes),
+    ];
+    locationBuffer.getLatestFix().then((fix) => { if (fix) setState({ lastFix: fix }); });
+    refresh();
+  },
+
+  stop() {
+    subscriptions.forEach((unsubscribe) => unsubscribe());
+    subscriptions = [];
+    accountId = null;
+    assignments = [];
+    assignmentsLoaded = false;
+    activeAssignment = null;
+    previousFix = null;
+    lastMovedAt = null;
+    queuedSignature = '';
+    stopEngine();
+    setState({ status: 'idle', assignmentIds: [], activeAssignmentId: null, mode: null, lastFix: null, error: null });
+  },
+
+  // Call after an action that changed an assignment's status (pickup, dropoff, status update)
+  refresh,
+
+  // Try again after a permission problem was fixed in settings
+  retry() {
+    setState({ error: null });
+    return apply();
+  },
+
+  getState: () => state,
+
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(state);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default tracking;
@@ -0,0 +1,59 @@
+import { distanceMeters } from './gpsFilter';
+
+// How often and how precisely lib/tracking asks for GPS, depending on what the driver is doing.
+// Pure functions over plain inputs, so a policy change can be tried against recorded traces.
+//
+// Modes, in the order chooseTrackingMode checks them:
+//   stationary   no movement for a while (waiting at a branch): slow
+//   approaching  close to the branch the driver is heading to: fast and precise for the arrival
+//   lowBattery   battery low and not charging: slow
+//   fast         highway speed: frequent fixes, no finer than the distance covered anyway
+//   moving       everything else
+
+// accuracy names map to expo-location's Location.Accuracy in lib/tracking. 'balanced' saves power
+// but reports around 100 m, so those modes also raise lib/gpsFilter's maxAccuracyM for the fixes
+// recorded in them (lib/locationBuffer); the other modes keep the filter's own limit.
+export const TRACKING_MODES = {
+  stationary: { accuracy: 'balanced', timeInterval: 120000, distanceInterval: 100, maxAccuracyM: 150 },
+  approaching: { accuracy: 'best', timeInterval: 5000, distanceInterval: 10 },
+  lowBattery: { accuracy: 'balanced', timeInterval: 120000, distanceInterval: 200, maxAccuracyM: 150 },
+  fast: { accuracy: 'high', timeInterval: 10000, distanceInterval: 100 },
+  moving: { accuracy: 'high', timeInterval: 30000, distanceInterval: 50 },
+};
+
+export const DEFAULT_TRACKING_POLICY = {
+  // Below this the driver is not going anywhere (m/s)
+  movingSpeedMps: 1.5,
+  // Roughly 50 km/h
+  fastSpeedMps: 14,
+  // Without movement this long the driver counts as stationary
+  stationaryAfterMs: 3 * 60000,
+  // Distance to the destination branch that counts as approaching
+  approachRadiusM: 1000,
+  // Battery fraction (0..1) under which tracking backs off
+  lowBatteryLevel: 0.2,
+};
+
+// Speed between two fixes in m/s: the fix's own reading when it has one, otherwise distance/time
+export const speedBetween = (previous, fix) => {
+  if (Number.isFinite(fix?.speed) && fix.speed >= 0) return fix.speed;
+  if (!previous || !fix) return null;
+  const elapsedS = (new Date(fix.timestamp) - new Date(previous.timestamp)) / 1000;
+  return elapsedS > 0 ? distanceMeters(previous, fix) / elapsedS : null;
+};
+
+// input: { speedMps, stillForMs, distanceToDestinationM, batteryLevel, charging, lowPowerMode }
+// (any of them may be null when unknown). Returns a TRACKING_MODES key.
+export const chooseTrackingMode = (input = {}, options = {}) => {
+  const policy = { ...DEFAULT_TRACKING_POLICY, ...options };
+  const { speedMps, stillForMs, distanceToDestinationM, batteryLevel, charging, lowPowerMode } = input;
+
+  if (stillForMs !== null && stillForMs !== undefined && stillForMs >= policy.stationaryAfterMs) return 'stationary';
+  if (distanceToDestinationM !== null && distanceToDestinationM !== undefined
+    && distanceToDestinationM <= policy.approachRadiusM) return 'approaching';
+  const lowBattery = lowPowerMode || (batteryLevel !== null && batteryLevel !== undefined
+    && batteryLevel >= 0 && batteryLevel < policy.lowBatteryLevel);
+  if (lowBattery && !charging) return 'lowBattery';
+  if (speedMps !== null && speedMps !== undefined && speedMps >= policy.fastSpeedMps) return 'fast';
+  return 'moving';
+};
@@ -0,0 +1,22 @@
+import { xhrFetch } from './upload';
+
+// Everything in lib/api.js talks to the network through the active transport.
+// A transport is { name, request(url, init), upload(url, init) }, both returning a
+// fetch-style Response ({ ok, status, headers.get, text(), json() }).
+// upload() additionally honours init.onUploadProgress({ loaded, total }).
+
+export const httpTransport = {
+  name: 'http',
+  request: (url, init) => fetch(url, init),
+  upload: (url, init) => xhrFetch(url, init),
+};
+
+let activeTransport = httpTransport;
+
+export const getTransport = () => activeTransport;
+
+export const setTransport = (transport) => {
+  activeTransport = transport || httpTransport;
+  console.log(`🔌 API transport: ${activeTransport.name}`);
+  return activeTransport;
+};
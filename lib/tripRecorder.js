@@ -0,0 +1,199 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { distanceMeters } from './gpsFilter';
+import { userKey, getCurrentUserId, readJson, createExclusive } from './userStorage';
+
+// Distance, moving and idle time and stops for each delivery leg, from pickup verified to dropoff
+// verified. lib/tracking opens a trip when an assignment goes IN_PROGRESS; every recorded fix
+// (foreground or background task) is added to all open trips, since the van carries them all;
+// the dropoff screen closes it and sends the summary with the verification. lib/tracking closes
+// the trips of assignments that stop being tracked any other way (completed by dispatch,
+// cancelled, reassigned).
+// Trips are summarized as fixes arrive, so no point list is kept. Per-user key:
+//   trips  { [assignmentId]: trip }
+// trip: { assignmentId, startedAt, endedAt, distanceM, movingSeconds, idleSeconds, stops,
+//         lastFix, idleSince }
+// stop: { startedAt, endedAt, durationSeconds, latitude, longitude }
+
+const TRIPS_KEY = 'trips';
+
+// Slower than this between two fixes counts as standing still (m/s)
+const MOVING_SPEED_MPS = 1.5;
+// Standing still at least this long is a stop (traffic lights are not)
+const MIN_STOP_SECONDS = 120;
+// Finished trips are kept this long for the delivery screens
+const TRIP_RETENTION_MS = 30 * 24 * 3600000;
+
+const listeners = new Set();
+
+const exclusive = createExclusive();
+
+const readTrips = (userId) => readJson(userKey(userId, TRIPS_KEY), {});
+
+const writeTrips = (userId, trips) => AsyncStorage.setItem(userKey(userId, TRIPS_KEY), JSON.stringify(trips));
+
+const notify = (assignmentId) => {
+  listeners.forEach((listener) => {
+    try { listener(assignmentId); } catch (e) { console.warn('Trip listener error:', e?.message || e); }
+  });
+};
+
+const secondsBetween = (from, to) => Math.max(0, (new Date(to) - new Date(from)) / 1000);
+
+const closeStop = (trip, at) => {
+  if (!trip.idleSince) return trip;
+  const durationSeconds = Math.round(secondsBetween(trip.idleSince.at, at));
+  const stops = durationSeconds >= MIN_STOP_SECONDS
+    ? [...trip.stops, {
+      startedAt: trip.idleSince.at,
+      endedAt: at,
+      durationSeconds,
+      latitude: trip.idleSince.latitude,
+      longitude: trip.idleSince.longitude,
+    }]
+    : trip.stops;
+  return { ...trip, stops, idleSince: null };
+};
+
+// Fold one fix into a trip; fixes older than the last one are ignored
+export const addFixToTrip = (trip, fix) => {
+  const point = { latitude: fix.latitude, longitude: fix.longitude, timestamp: fix.timestamp };
+  if (new Date(fix.timestamp) < new Date(trip.startedAt)) return trip;
+  if (!trip.lastFix) return { ...trip, lastFix: point };
+  const elapsed = secondsBetween(trip.lastFix.timestamp, fix.timestamp);
+  if (elapsed <= 0) return trip;
+  const distance = distanceMeters(trip.lastFix, fix);
+  if (distance / elapsed >= MOVING_SPEED_MPS) {
+    return {
+      ...closeStop(trip, trip.lastFix.timestamp),
+      distanceM: trip.distanceM + distance,
+      movingSeconds: trip.movingSeconds + elapsed,
+      lastFix: point,
+    };
+  }
+  return {
+    ...trip,
+    idleSeconds: trip.idleSeconds + elapsed,
+    idleSince: trip.idleSince || { at: trip.lastFix.timestamp, latitude: trip.lastFix.latitude, longitude: trip.lastFix.longitude },
+    lastFix: point,
+  };
+};
+
+// What screens and the dropoff submission see
+export const summarizeTrip = (trip) => {
+  if (!trip) return null;
+  return {
+    assignmentId: trip.assignmentId,
+    startedAt: trip.startedAt,
+    endedAt: trip.endedAt,
+    distanceM: Math.round(trip.distanceM),
+    durationSeconds: Math.round(secondsBetween(trip.startedAt, trip.endedAt || trip.lastFix?.timestamp || trip.startedAt)),
+    movingSeconds: Math.round(trip.movingSeconds),
+    idleSeconds: Math.round(trip.idleSeconds),
+    // Over the time actually spent moving, so waiting at branches does not drag it down
+    averageSpeedKmh: trip.movingSeconds > 0 ? Math.round((trip.distanceM / trip.movingSeconds) * 3.6 * 10) / 10 : 0,
+    stops: trip.stops,
+  };
+};
+
+const trips = {
+  // Start recording a leg (no-op when it is already recording or finished)
+  start(assignmentId, startedAt = new Date().toISOString()) {
+    return exclusive(async () => {
+      const userId = await getCurrentUserId();
+      if (!userId || !assignmentId) return;
+      const all = await readTrips(userId);
+      if (all[assignmentId]) return;
+      all[assignmentId] = {
+        assignmentId: String(assignmentId),
+        startedAt,
+        endedAt: null,
+        distanceM: 0,
+        movingSeconds: 0,
+        idleSeconds: 0,
+        stops: [],
+        lastFix: null,
+        idleSince: null,
+      };
+      // Old finished trips go when new ones start
+      Object.keys(all).forEach((id) => {
+        const { endedAt } = all[id];
+        if (endedAt && Date.now() - new Date(endedAt) > TRIP_RETENTION_MS) delete all[id];
+      });
+      await writeTrips(userId, all);
+      console.log(`🚚 Trip started for assignment ${assignmentId}`);
+      notify(String(assignmentId));
+    });
+  },
+
+  // Add recorded fixes to every open trip
+  record(fixes) {
+    const list = (Array.isArray(fixes) ? fixes : [fixes]).filter(Boolean);
+    if (!list.length) return Promise.resolve();
+    return exclusive(async () => {
+      const userId = await getCurrentUserId();
+      if (!userId) return;
+      const all = await readTrips(userId);
+      const open = Object.values(all).filter((t) => !t.endedAt);
+      if (!open.length) return;
+      open.forEach((trip) => { all[trip.assignmentId] = list.reduce(addFixToTrip, trip); });
+      await writeTrips(userId, all);
+      open.forEach((trip) => notify(trip.assignmentId));
+    });
+  },
+
+  // End the leg and resolve its summary (the same summary again if it has already ended)
+  finish(assignmentId, endedAt = new Date().toISOString()) {
+    return exclusive(async () => {
+      const userId = await getCurrentUserId();
+      if (!userId) return null;
+      const all = await readTrips(userId);
+      const trip = all[assignmentId];
+      if (!trip) return null;
+      if (!trip.endedAt) {
+        all[assignmentId] = { ...closeStop(trip, endedAt), endedAt };
+        await writeTrips(userId, all);
+        const summary = summarizeTrip(all[assignmentId]);
+        console.log(`🏁 Trip for assignment ${assignmentId}: ${(summary.distanceM / 1000).toFixed(1)} km, ${summary.stops.length} stop(s)`);
+        notify(String(assignmentId));
+      }
+      return summarizeTrip(all[assignmentId]);
+    });
+  },
+
+  // Submit the dropoff with the leg's summary and end the leg only once submit(summary) resolves
+  // (sent or queued). When submit throws (the server refused the dropoff) nothing is ended: the
+  // leg keeps recording until a dropoff goes through. Resolves what submit resolved.
+  async finishAfter(assignmentId, submit) {
+    const endedAt = new Date().toISOString();
+    const summary = await trips.getSummary(assignmentId, { endedAt });
+    const result = await submit(summary);
+    await trips.finish(assignmentId, endedAt);
+    return result;
+  },
+
+  // Assignment ids (strings) whose leg is still recording
+  async getOpenAssignmentIds() {
+    const userId = await getCurrentUserId();
+    if (!userId) return [];
+    const all = await readTrips(userId);
+    return Object.values(all).filter((t) => !t.endedAt).map((t) => t.assignmentId);
+  },
+
+  // endedAt: summarize a leg still recording as if it had ended then (nothing is stored)
+  async getSummary(assignmentId, { endedAt } = {}) {
+    const userId = await getCurrentUserId();
+    if (!userId) return null;
+    const all = await readTrips(userId);
+    const trip = all[assignmentId];
+    if (trip && !trip.endedAt && endedAt) return summarizeTrip({ ...closeStop(trip, endedAt), endedAt });
+    return summarizeTrip(trip);
+  },
+
+  // listener(assignmentId) whenever that trip changes; returns the unsubscribe function
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default trips;
@@ -0,0 +1,87 @@
+// Multipart upload helpers shared by every pickup/dropoff verification path.
+// api.uploadVerification sends the form through the request middleware in lib/api.js.
+
+const UPLOAD_TIMEOUT_MS = 60000;
+
+// Accepts { lat, lng } (what the screens collect) or { latitude, longitude }
+const normalizeLocation = (location) => {
+  if (!location) return null;
+  const latitude = location.latitude ?? location.lat;
+  const longitude = location.longitude ?? location.lng;
+  if (latitude === undefined || longitude === undefined) return null;
+  return { latitude: Number(latitude), longitude: Number(longitude) };
+};
+
+// Build the verify-pickup / verify-dropoff body once, with each field appended exactly once
+export const buildVerificationForm = (kind, { file, recipientName, location, notes, trip } = {}) => {
+  const form = new FormData();
+  if (file?.uri) {
+    form.append('itemImage', {
+      uri: file.uri,
+      type: file.type || 'image/jpeg',
+      name: file.name || `${kind}.jpg`,
+    });
+  }
+  if (recipientName) form.append('recipient_name', recipientName);
+  const coords = normalizeLocation(location);
+  if (coords) {
+    form.append('location', JSON.stringify(coords));
+    form.append('latitude', String(coords.latitude));
+    form.append('longitude', String(coords.longitude));
+  }
+  if (notes) form.append('notes', notes);
+  // Dropoff only: the leg's summary from lib/tripRecorder
+  if (trip) form.append('trip_summary', JSON.stringify(trip));
+  return form;
+};
+
+// fetch-compatible POST over XMLHttpRequest, which (unlike fetch in React Native)
+// reports upload progress. Resolves a minimal Response-like object; aborting init.signal rejects
+// with an AbortError, as fetch does.
+export const xhrFetch = (url, { method = 'POST', headers = {}, body, signal, onUploadProgress } = {}) =>
+  new Promise((resolve, reject) => {
+    const abortError = () => Object.assign(new Error('Upload aborted'), { name: 'AbortError' });
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    xhr.onloadend = () => signal?.removeEventListener('abort', onAbort);
+    xhr.open(method, url);
+    xhr.timeout = UPLOAD_TIMEOUT_MS;
+    Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+    if (onUploadProgress && xhr.upload) {
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) onUploadProgress({ loaded: event.loaded, total: event.total });
+      };
+    }
+    xhr.onload = () => {
+      const text = xhr.responseText || '';
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        headers: { get: (name) => xhr.getResponseHeader(name) },
+        text: async () => text,
+        json: async () => JSON.parse(text),
+      });
+    };
+    xhr.onerror = () => reject(Object.assign(new Error('Network request failed'), { isNetworkError: true }));
+    xhr.ontimeout = () => reject(Object.assign(new Error(`Upload timed out (${UPLOAD_TIMEOUT_MS / 1000}s)`), { isNetworkError: true }));
+    xhr.onabort = () => reject(abortError());
+    xhr.send(body);
+  });
+
+// Same shape for pickup and dropoff, whatever the backend wrapped the response in
+export const normalizeUploadResult = (kind, assignmentId, data) => {
+  const payload = data && typeof data === 'object' && 'data' in data ? data.data : data;
+  return {
+    ok: true,
+    kind,
+    assignmentId,
+    status: payload?.status || data?.status || (kind === 'pickup' ? 'IN_PROGRESS' : 'COMPLETED'),
+    message: data?.message || null,
+    data,
+  };
+};
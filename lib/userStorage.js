@@ -0,0 +1,49 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Per-user namespace in AsyncStorage. Devices are shared between drivers during a shift, so
+// anything that belongs to one account (cached assignments, the outbox) lives under
+// `user:<Account_id>:` and is never read for somebody else. Device configuration (API profile,
+// last good host, app lock settings) stays un-namespaced and survives a change of driver.
+
+const USER_PREFIX = 'user:';
+
+export const userKey = (userId, key) => `${USER_PREFIX}${userId}:${key}`;
+
+// Account_id of whoever is logged in, as a string, or null
+export const getCurrentUserId = async () => {
+  try {
+    const userData = await AsyncStorage.getItem('userData');
+    const user = userData ? JSON.parse(userData) : null;
+    return user?.Account_id ? String(user.Account_id) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Stored JSON under key, or fallback when missing or unreadable
+export const readJson = async (key, fallback) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Runs work() after everything queued before it, so read-modify-write cycles on the same keys
+// never interleave. One queue per store: exclusive(work) resolves or rejects as work does.
+export const createExclusive = () => {
+  let queue = Promise.resolve();
+  return (work) => {
+    const run = queue.then(work, work);
+    queue = run.catch(() => {});
+    return run;
+  };
+};
+
+// Every key stored for one user (optionally only those under a sub-prefix such as 'cache:')
+export const listUserKeys = async (userId, prefix = '') => {
+  const all = await AsyncStorage.getAllKeys();
+  const start = userKey(userId, prefix);
+  return all.filter((k) => k.startsWith(start));
+};